@@ -4,15 +4,14 @@
 // Import centralized config
 importScripts('config.js');
 
-// Conditional logging - only log in development mode
+// Conditional logging - only with the 'debug' log level (IS_DEV default, or the developer panel)
 function debugLog(...args) {
-    if (typeof IS_DEV !== 'undefined' && IS_DEV) {
+    if (BEACON_CONFIG.LOG_LEVEL === 'debug') {
         console.log(...args);
     }
 }
 
 const blockedPageUrl = chrome.runtime.getURL('blocked.html');
-const backendUrlBase = BEACON_CONFIG.BACKEND_URL;
 
 let tabState = {};
 
@@ -23,6 +22,11 @@ const tabLocks = new Map(); // Map<tabId, Promise>
 // Prevents duplicate API calls for the same URL
 const pendingRequests = new Map(); // Map<normalizedUrl, Promise>
 
+// --- BLOCK CONTEXT (for blocked.html) ---
+// Remembers why each tab was last blocked so the blocked page can explain itself.
+// Kept outside tabState because the redirect to blocked.html resets tabState on load.
+const blockContexts = new Map(); // Map<tabId, context>
+
 // --- COOLDOWN-BASED DEDUPLICATION ---
 // Prevents re-checking the same URL within a short time window
 const recentlyProcessed = new Map(); // Map<normalizedUrl, timestamp>
@@ -35,17 +39,27 @@ const CRYPTO_ITERATIONS = 100000;
 const CRYPTO_KEY_LENGTH = 256; // bits
 const CRYPTO_IV_LENGTH = 12; // bytes
 
-// Extract userId from Supabase JWT (sub claim)
-function getUserIdFromToken(token) {
+// Decode the payload of a Supabase JWT (no signature check - the backend verifies it)
+function decodeTokenPayload(token) {
     try {
-        const payload = token.split('.')[1];
-        const decoded = JSON.parse(atob(payload));
-        return decoded.sub || null;
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload));
     } catch (e) {
         return null;
     }
 }
 
+// Extract userId from Supabase JWT (sub claim)
+function getUserIdFromToken(token) {
+    return decodeTokenPayload(token)?.sub || null;
+}
+
+// Expiry of a Supabase JWT in ms (exp claim), or null if it has none
+function getTokenExpiry(token) {
+    const exp = decodeTokenPayload(token)?.exp;
+    return Number.isFinite(exp) ? exp * 1000 : null;
+}
+
 // Derive AES-256 key from userId using PBKDF2 (matches server-side cryptoUtils.js)
 async function deriveEncryptionKey(userId) {
     const encoder = new TextEncoder();
@@ -103,7 +117,7 @@ async function sendEngagementEvent(eventType, metadata = {}) {
             return;
         }
 
-        const response = await fetch(`${backendUrlBase}/api/engagement-event`, {
+        const response = await fetch(`${BEACON_CONFIG.BACKEND_URL}/api/engagement-event`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${authToken}`,
@@ -126,6 +140,9 @@ async function sendEngagementEvent(eventType, metadata = {}) {
 // --- API RETRY LOGIC WITH TIMEOUT ---
 const API_TIMEOUT_MS = 10000; // 10 second timeout
 const API_MAX_RETRIES = 2;
+// /check-url gets this long in total, retries included, before the failure policy decides.
+// Three full attempts plus backoff would take ~33s, long after a fail-closed page has loaded.
+const CHECK_URL_DEADLINE_MS = 6000;
 
 async function fetchWithTimeout(url, options, timeoutMs = API_TIMEOUT_MS) {
     const controller = new AbortController();
@@ -155,12 +172,13 @@ async function fetchWithTimeout(url, options, timeoutMs = API_TIMEOUT_MS) {
     }
 }
 
-async function fetchWithRetry(url, options, maxRetries = API_MAX_RETRIES) {
+async function fetchWithRetry(url, options, maxRetries = API_MAX_RETRIES, deadlineMs = Infinity) {
+    const deadline = Date.now() + deadlineMs;
     let lastError;
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
         try {
-            const response = await fetchWithTimeout(url, options);
+            const response = await fetchWithTimeout(url, options, Math.min(API_TIMEOUT_MS, deadline - Date.now()));
             return response;
         } catch (error) {
             lastError = error;
@@ -169,30 +187,547 @@ async function fetchWithRetry(url, options, maxRetries = API_MAX_RETRIES) {
             // Don't retry on auth errors or if we're out of retries
             if (attempt >= maxRetries) break;
 
-            // Exponential backoff: 1s, 2s, 4s...
-            await new Promise(r => setTimeout(r, 1000 * Math.pow(2, attempt)));
+            // Exponential backoff: 1s, 2s, 4s... - unless that leaves no time for another attempt
+            const backoffMs = 1000 * Math.pow(2, attempt);
+            if (Date.now() + backoffMs >= deadline) break;
+            await new Promise(r => setTimeout(r, backoffMs));
         }
     }
 
     throw lastError;
 }
 
-// --- 1. ROBUST CACHING (VERSION-BASED INVALIDATION) ---
-// Cache persists indefinitely until user changes their rules (triggers cacheVersion increment)
-// This reduces API calls significantly while ensuring rule changes take effect immediately
-const MAX_CACHE_SIZE = 200; // ~40KB - plenty for frequently visited sites
-
-// Local Safe List - NEVER send these to the AI
-const SAFE_LIST = [
-    'chase.com', 'bankofamerica.com', 'wellsfargo.com', 'americanexpress.com', // Banking
-    'google.com', 'gmail.com', 'docs.google.com', // Productivity
-    'github.com', 'stackoverflow.com', // Dev
-    'localhost', '127.0.0.1', '0.0.0.0', 'ai-dashboard',
-    'vercel.app', 'netlify.app', // Dashboards
-    'beaconblocker.com', // Custom domain (dashboard.beaconblocker.com, api.beaconblocker.com)
-    chrome.runtime.id // Extension pages (blocked.html)
+// --- BACKEND FAILURE POLICY ---
+// What to do when /check-url times out, is unreachable or returns 5xx:
+// 'open' (allow, the original behavior), 'closed' (block unknown pages) or
+// 'local' (match the page against the user's own keyword rules)
+const FAILURE_POLICIES = ['open', 'closed', 'local'];
+const FAILURE_POLICY_STRICTNESS = { open: 0, local: 1, closed: 2 };
+const DEFAULT_FAILURE_POLICY = 'open';
+const MAX_KEYWORD_RULES = 200;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Local heuristic classifier: BLOCK if any keyword rule appears as a whole word in the page.
+// \b only works between a word and a non-word character, so it never matches next to a keyword's
+// own punctuation ("c++", ".io"); the lookarounds only check the sides that end in a word character.
+function keywordPattern(keyword) {
+    const before = /^\w/.test(keyword) ? '(?<!\\w)' : '';
+    const after = /\w$/.test(keyword) ? '(?!\\w)' : '';
+    return new RegExp(`${before}${escapeRegExp(keyword)}${after}`, 'i');
+}
+
+function classifyLocally(pageData, keywordRules) {
+    const haystack = [pageData.title, pageData.description, pageData.keywords, pageData.bodySnippet, pageData.url]
+        .filter(Boolean)
+        .join(' ');
+    const match = (keywordRules || []).find(keyword => keywordPattern(keyword).test(haystack));
+    return match
+        ? { decision: 'BLOCK', reason: `Backend unavailable · local rule matched "${match}"` }
+        : { decision: 'ALLOW', reason: 'Backend unavailable · no local rule matched' };
+}
+
+async function applyFailurePolicy(pageData) {
+    const { backendFailurePolicy, localKeywordRules } = await chrome.storage.local.get(['backendFailurePolicy', 'localKeywordRules']);
+    const policy = FAILURE_POLICIES.includes(backendFailurePolicy) ? backendFailurePolicy : DEFAULT_FAILURE_POLICY;
+    debugLog('[API] Backend failed, applying policy:', policy);
+
+    let result;
+    if (policy === 'closed') {
+        result = { decision: 'BLOCK', reason: 'Backend unavailable · blocked (fail-closed)' };
+    } else if (policy === 'local') {
+        result = classifyLocally(pageData, localKeywordRules);
+    } else {
+        result = { decision: 'ALLOW', reason: 'Backend unavailable · allowed (fail-open)' };
+    }
+    return { ...result, degraded: true };
+}
+
+// Tracks whether /check-url is healthy; the popup shows a "backend degraded" banner from this
+async function setBackendStatus(healthy, errorMessage) {
+    const { backendStatus } = await chrome.storage.local.get('backendStatus');
+    const wasDegraded = !!backendStatus?.degraded;
+    if (healthy && !wasDegraded) return;
+
+    if (healthy) {
+        await chrome.storage.local.set({ backendStatus: { degraded: false, since: null, lastError: null } });
+        debugLog('[API] Backend recovered');
+    } else {
+        await chrome.storage.local.set({
+            backendStatus: {
+                degraded: true,
+                since: wasDegraded ? backendStatus.since : Date.now(),
+                lastError: errorMessage || 'Unknown error'
+            }
+        });
+    }
+}
+
+async function syncFailurePolicy(policy, keywordRules) {
+    if (!FAILURE_POLICIES.includes(policy)) {
+        return { success: false, error: 'Invalid policy' };
+    }
+    const rules = Array.isArray(keywordRules)
+        ? [...new Set(keywordRules.map(rule => String(rule).trim()).filter(Boolean))].slice(0, MAX_KEYWORD_RULES)
+        : undefined;
+
+    // Strict mode: the policy may only get stricter (open < local < closed), and the local
+    // policy's keyword rules may only be added to
+    const stored = await chrome.storage.local.get(['backendFailurePolicy', 'localKeywordRules']);
+    const currentPolicy = FAILURE_POLICIES.includes(stored.backendFailurePolicy) ? stored.backendFailurePolicy : DEFAULT_FAILURE_POLICY;
+    const loosens = FAILURE_POLICY_STRICTNESS[policy] < FAILURE_POLICY_STRICTNESS[currentPolicy] ||
+        (policy === 'local' && currentPolicy === 'local' && !!rules &&
+            (stored.localKeywordRules || []).some(rule => !rules.includes(rule)));
+    if (loosens && await guardStrictMode('edit_failure_policy')) {
+        return { success: false, error: 'Strict mode is active' };
+    }
+
+    await chrome.storage.local.set({
+        backendFailurePolicy: policy,
+        ...(rules ? { localKeywordRules: rules } : {})
+    });
+    return { success: true, policy, keywordRules: rules };
+}
+
+// --- CLASSIFIER PROVIDERS ---
+// Where page decisions come from. 'beacon' is the hosted /check-url service (needs sign-in);
+// 'openai' (any OpenAI-compatible /chat/completions server) and 'ollama' (/api/chat) are
+// self-hosted models that get the user's goal prompt plus the page and answer in JSON.
+// classifierSettings: { provider, endpoint, model, apiKey, goalPrompt }
+const CLASSIFIER_SETTINGS_KEY = 'classifierSettings';
+const LOCAL_CLASSIFIER_TIMEOUT_MS = 30000; // Local models are slower than the hosted service
+const MAX_GOAL_PROMPT_LENGTH = 4000;
+const CLASSIFIER_SYSTEM_PROMPT = [
+    'You decide whether a web page helps or distracts from the user\'s focus goal.',
+    'Reply with JSON only: {"decision": "BLOCK" or "ALLOW", "reason": "<one short sentence>"}.',
+    'Block pages that conflict with the goal; allow everything else.'
+].join(' ');
+
+const CLASSIFIER_PROVIDERS = {
+    beacon: { requiresAuth: true, classify: classifyWithBeacon },
+    openai: { requiresAuth: false, classify: classifyWithOpenAI },
+    ollama: { requiresAuth: false, classify: classifyWithOllama }
+};
+
+let classifierSettings = { provider: 'beacon' };
+
+function validateClassifierSettings(settings) {
+    if (!settings || typeof settings !== 'object' || !CLASSIFIER_PROVIDERS[settings.provider]) return null;
+    if (settings.provider === 'beacon') return { provider: 'beacon' };
+
+    let endpoint;
+    try {
+        const parsed = new URL(String(settings.endpoint || ''));
+        if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+        endpoint = parsed.href.replace(/\/+$/, '');
+    } catch (e) {
+        return null;
+    }
+    const model = String(settings.model || '').trim();
+    const goalPrompt = String(settings.goalPrompt || '').trim().slice(0, MAX_GOAL_PROMPT_LENGTH);
+    if (!model || !goalPrompt) return null;
+    return {
+        provider: settings.provider,
+        endpoint,
+        model,
+        apiKey: settings.apiKey ? String(settings.apiKey) : null,
+        goalPrompt
+    };
+}
+
+async function loadClassifierSettings() {
+    const { [CLASSIFIER_SETTINGS_KEY]: stored } = await chrome.storage.local.get(CLASSIFIER_SETTINGS_KEY);
+    classifierSettings = validateClassifierSettings(stored) || { provider: 'beacon' };
+}
+
+function getClassifierProvider() {
+    return CLASSIFIER_PROVIDERS[classifierSettings.provider] || CLASSIFIER_PROVIDERS.beacon;
+}
+
+// Pages can only be checked when signed in, unless a self-hosted classifier is configured
+function canClassify() {
+    return !!authToken || !getClassifierProvider().requiresAuth;
+}
+
+async function syncClassifierSettings(settings) {
+    // An omitted API key keeps the saved one (the UI never gets to see it)
+    if (settings && settings.apiKey === undefined && settings.provider === classifierSettings.provider) {
+        settings = { ...settings, apiKey: classifierSettings.apiKey };
+    }
+    const validated = validateClassifierSettings(settings);
+    if (!validated) {
+        return { success: false, error: 'Invalid classifier settings' };
+    }
+    // Swapping the classifier could point it at something that allows everything
+    if (await guardStrictMode('change_classifier')) {
+        return { success: false, error: 'Strict mode is active' };
+    }
+    await chrome.storage.local.set({ [CLASSIFIER_SETTINGS_KEY]: validated });
+    classifierSettings = validated;
+    await handleClearLocalCache(); // Decisions from the previous classifier no longer apply
+    reevaluateOpenTabs('classifier_changed');
+    return { success: true, settings: { ...validated, apiKey: validated.apiKey ? '••••' : null } };
+}
+
+function buildClassifierMessages(pageData, goalPrompt) {
+    const page = [
+        `URL: ${pageData.url}`,
+        `Title: ${pageData.title || ''}`,
+        pageData.h1 ? `Heading: ${pageData.h1}` : null,
+        pageData.description ? `Description: ${pageData.description}` : null,
+        pageData.keywords ? `Keywords: ${pageData.keywords}` : null,
+        pageData.bodySnippet ? `Content: ${String(pageData.bodySnippet).slice(0, 2000)}` : null,
+        pageData.localTime ? `Local time: ${pageData.localTime}` : null
+    ].filter(Boolean).join('\n');
+    return [
+        { role: 'system', content: CLASSIFIER_SYSTEM_PROMPT },
+        { role: 'user', content: `My focus goal:\n${goalPrompt}\n\nPage:\n${page}` }
+    ];
+}
+
+// Models sometimes wrap the JSON in prose or code fences - take the first {...} block.
+// Returns null for a reply without a usable decision.
+function parseClassifierReply(text) {
+    const match = String(text || '').match(/\{[\s\S]*\}/);
+    let reply = null;
+    try {
+        reply = match ? JSON.parse(match[0]) : null;
+    } catch (e) {
+        // Handled below
+    }
+    const decision = String(reply?.decision || '').toUpperCase();
+    if (decision !== 'BLOCK' && decision !== 'ALLOW') {
+        console.warn('[API] Classifier reply had no usable decision:', String(text || '').slice(0, 200));
+        return null;
+    }
+    return { decision, reason: String(reply.reason || (decision === 'BLOCK' ? 'Blocked by your classifier' : 'Allowed')).slice(0, 300) };
+}
+
+// Timeouts, network errors and 5xx count as an outage: they throw, so the failure policy
+// applies. From the hosted service a 4xx (bad request, rate limit) or an unreadable body is
+// logged and returns null, which leaves the page unchecked. A self-hosted classifier passes
+// anyErrorIsOutage, since any 4xx there is a wrong endpoint, model or key that won't fix itself.
+async function readClassifierResponse(response, label, { anyErrorIsOutage = false } = {}) {
+    if (response.status >= 500 || (anyErrorIsOutage && !response.ok)) {
+        throw new Error(`${label} error: ${response.status}`);
+    }
+    if (!response.ok) {
+        console.warn(`[API] ${label} rejected the request:`, response.status);
+        return null;
+    }
+    try {
+        return await response.json();
+    } catch (error) {
+        console.warn(`[API] ${label} sent an unreadable reply:`, error.message);
+        return null;
+    }
+}
+
+async function postToLocalClassifier(url, settings, body) {
+    const response = await fetchWithTimeout(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {})
+        },
+        body: JSON.stringify(body)
+    }, LOCAL_CLASSIFIER_TIMEOUT_MS);
+    return readClassifierResponse(response, 'Classifier', { anyErrorIsOutage: true });
+}
+
+async function classifyWithOpenAI(pageData, settings) {
+    const data = await postToLocalClassifier(`${settings.endpoint}/chat/completions`, settings, {
+        model: settings.model,
+        messages: buildClassifierMessages(pageData, settings.goalPrompt),
+        temperature: 0,
+        response_format: { type: 'json_object' }
+    });
+    const reply = data && parseClassifierReply(data.choices?.[0]?.message?.content);
+    return reply && { ...reply, activePrompt: settings.goalPrompt };
+}
+
+async function classifyWithOllama(pageData, settings) {
+    const data = await postToLocalClassifier(`${settings.endpoint}/api/chat`, settings, {
+        model: settings.model,
+        messages: buildClassifierMessages(pageData, settings.goalPrompt),
+        stream: false,
+        format: 'json',
+        options: { temperature: 0 }
+    });
+    const reply = data && parseClassifierReply(data.message?.content);
+    return reply && { ...reply, activePrompt: settings.goalPrompt };
+}
+
+// Hosted service. Returns the /check-url response, null when the request was refused
+// (auth, subscription or another 4xx) or the reply was unreadable, or throws on timeouts
+// and 5xx so the failure policy applies.
+async function classifyWithBeacon(pageData, settings, { tabId }) {
+    const fetchUrl = `${BEACON_CONFIG.BACKEND_URL}/check-url`;
+
+    // Encrypt page data before sending to backend
+    const userId = getUserIdFromToken(authToken);
+    let bodyStr;
+    if (userId) {
+        const sensitiveData = JSON.stringify({
+            url: pageData.url,
+            title: pageData.title,
+            h1: pageData.h1,
+            description: pageData.description,
+            keywords: pageData.keywords,
+            bodySnippet: pageData.bodySnippet
+        });
+        const encryptedData = await encryptString(sensitiveData, userId);
+        bodyStr = JSON.stringify({ encryptedData, localTime: pageData.localTime });
+        debugLog('[API] Page data encrypted before sending');
+    } else {
+        bodyStr = JSON.stringify(pageData);
+        debugLog('[API] No userId available, sending unencrypted');
+    }
+
+    debugLog('[API] Calling:', fetchUrl);
+    debugLog('[API DEBUG] Auth token present:', !!authToken, 'Token length:', authToken?.length);
+    const response = await fetchWithRetry(fetchUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
+        body: bodyStr
+    }, API_MAX_RETRIES, CHECK_URL_DEADLINE_MS);
+    debugLog('[API] Response status:', response.status);
+
+    if (response.status === 401 || response.status === 403) {
+        // Token rejected - refresh and re-check this page, or flag the lost session
+        // (don't auto-open a login tab). Only once per page: if the backend rejects the
+        // fresh token too, another refresh would just start the same round again.
+        const lastRecheck = authRechecks.get(tabId);
+        if (lastRecheck?.url === pageData.url && Date.now() - lastRecheck.at < AUTH_RECHECK_WINDOW_MS) {
+            console.warn('[AUTH] Refreshed token rejected too, not re-checking:', response.status);
+            return null;
+        }
+        if (await refreshAuthToken()) {
+            authRechecks.set(tabId, { url: pageData.url, at: Date.now() });
+            recheckTab(tabId, pageData.url);
+        }
+        return null;
+    }
+
+    if (response.status === 402) {
+        await setSubscriptionRequired(true);
+        // Subscription expired — open dashboard once so user sees the SubscriptionGuard
+        // Throttle: only open once per 10 minutes to avoid spamming tabs
+        const { lastSubscriptionPrompt } = await chrome.storage.local.get('lastSubscriptionPrompt');
+        const now = Date.now();
+        if (!lastSubscriptionPrompt || now - lastSubscriptionPrompt > 10 * 60 * 1000) {
+            debugLog('[API] Subscription required (402) - opening dashboard');
+            await chrome.storage.local.set({ lastSubscriptionPrompt: now });
+            chrome.tabs.create({ url: BEACON_CONFIG.DASHBOARD_URL });
+        }
+        return null;
+    }
+
+    const data = await readClassifierResponse(response, 'Server');
+    if (data) setSubscriptionRequired(false);
+    return data;
+}
+
+// --- SITE LISTS (user-managed allowlist / blocklist) ---
+// Pattern syntax: 'example.com' (exact host, www. ignored), '*.example.com' (host + all subdomains),
+// 'example.com/path' (path prefix). Allowlisted pages are NEVER sent to the AI;
+// blocklisted pages are blocked without calling /check-url.
+const ALLOW_LIST_KEY = 'userAllowList';
+const BLOCK_LIST_KEY = 'userBlockList';
+const MAX_SITE_LIST_SIZE = 500;
+
+// System entries - always allowed, not user-editable, ahead of every blocklist. Nothing from the
+// runtime config goes in here: trusted origins may message the extension but aren't exempt, and a
+// configured dashboard only gets getConfiguredDashboardHost()'s weaker exemption.
+function getSystemAllowList() {
+    return [...new Set([
+        'localhost', '127.0.0.1', '0.0.0.0', 'ai-dashboard',
+        '*.beaconblocker.com', // Custom domain (dashboard.beaconblocker.com, api.beaconblocker.com)
+        ...BEACON_CONFIG_DEFAULTS.DASHBOARD_DOMAINS.map(domain => domain.split(':')[0]), // Built-in dashboards (exact hosts only)
+        chrome.runtime.id // Extension pages (blocked.html)
+    ])];
+}
+
+// Host of a dashboard URL set in the developer panel, or null for a built-in one. It's never sent
+// to the AI, but the managed and user blocklists still apply to it - otherwise pointing the
+// dashboard URL at any site would unblock that site.
+function getConfiguredDashboardHost() {
+    const host = new URL(BEACON_CONFIG.DASHBOARD_URL).hostname.replace(/^www\./, '');
+    const hostUrl = new URL(`https://${host}/`);
+    return getSystemAllowList().some(pattern => matchesSitePattern(hostUrl, pattern)) ? null : host;
+}
+
+// Seeded into the user's allowlist on first run - users may remove any of these
+const DEFAULT_ALLOW_LIST = [
+    '*.chase.com', '*.bankofamerica.com', '*.wellsfargo.com', '*.americanexpress.com', // Banking
+    '*.google.com', '*.gmail.com', // Productivity
+    '*.github.com', '*.stackoverflow.com' // Dev
 ];
 
+let siteLists = { allow: DEFAULT_ALLOW_LIST, block: [] };
+
+// Lowercase, strip scheme/www/trailing slash. Returns null for anything that isn't a host pattern.
+function normalizeSitePattern(pattern) {
+    if (typeof pattern !== 'string') return null;
+    let value = pattern.trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(\/\S*)?$/.test(value)) return null;
+    return value;
+}
+
+function normalizeSiteList(list) {
+    if (!Array.isArray(list)) return [];
+    const normalized = list.map(normalizeSitePattern).filter(Boolean);
+    return [...new Set(normalized)].slice(0, MAX_SITE_LIST_SIZE);
+}
+
+function matchesSitePattern(urlObj, pattern) {
+    const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    const slashIndex = pattern.indexOf('/');
+    const hostPattern = slashIndex === -1 ? pattern : pattern.substring(0, slashIndex);
+    const pathPrefix = slashIndex === -1 ? '' : pattern.substring(slashIndex);
+
+    let hostMatches;
+    if (hostPattern.startsWith('*.')) {
+        const base = hostPattern.substring(2);
+        hostMatches = hostname === base || hostname.endsWith('.' + base);
+    } else {
+        hostMatches = hostname === hostPattern;
+    }
+    if (!hostMatches) return false;
+    if (!pathPrefix) return true;
+
+    // Path prefix must end on a segment boundary ('/r/news' matches '/r/news/top', not '/r/newsletter')
+    const path = urlObj.pathname.toLowerCase();
+    return path === pathPrefix || path.startsWith(pathPrefix.endsWith('/') ? pathPrefix : pathPrefix + '/');
+}
+
+// Returns { list: 'system' | 'block' | 'allow', pattern, managed? } or null.
+// The most specific (longest) user pattern wins, so 'reddit.com' can be blocked while
+// 'reddit.com/r/programming' stays allowed. Ties go to the blocklist.
+function getSiteListMatch(url) {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    const findMostSpecific = (list) => list
+        .filter(pattern => matchesSitePattern(urlObj, pattern))
+        .sort((a, b) => b.length - a.length)[0];
+
+    const systemPattern = getSystemAllowList().find(pattern => matchesSitePattern(urlObj, pattern));
+    if (systemPattern) return { list: 'system', pattern: systemPattern };
+
+    // The administrator's blocklist beats any user allow entry
+    const managedPattern = findMostSpecific(managedPolicy.blockList);
+    if (managedPattern) return { list: 'block', pattern: managedPattern, managed: true };
+
+    const blockPattern = findMostSpecific(siteLists.block);
+    const allowPattern = findMostSpecific(siteLists.allow);
+    if (blockPattern && (!allowPattern || blockPattern.length >= allowPattern.length)) {
+        return { list: 'block', pattern: blockPattern };
+    }
+    const dashboardHost = getConfiguredDashboardHost();
+    if (dashboardHost && matchesSitePattern(urlObj, dashboardHost)) return { list: 'system', pattern: dashboardHost };
+    if (allowPattern) return { list: 'allow', pattern: allowPattern };
+    return null;
+}
+
+async function loadSiteLists() {
+    try {
+        const stored = await chrome.storage.local.get([ALLOW_LIST_KEY, BLOCK_LIST_KEY]);
+        if (!Array.isArray(stored[ALLOW_LIST_KEY])) {
+            // First run: seed the allowlist with the old built-in safe sites
+            await chrome.storage.local.set({ [ALLOW_LIST_KEY]: DEFAULT_ALLOW_LIST });
+        }
+        siteLists = {
+            allow: normalizeSiteList(stored[ALLOW_LIST_KEY] ?? DEFAULT_ALLOW_LIST),
+            block: normalizeSiteList(stored[BLOCK_LIST_KEY])
+        };
+    } catch (e) {
+        console.error('Error loading site lists:', e);
+    }
+}
+
+async function syncSiteLists(allowList, blockList) {
+    // Omitted lists are left unchanged
+    const allow = allowList === undefined ? siteLists.allow : normalizeSiteList(allowList);
+    const block = blockList === undefined ? siteLists.block : normalizeSiteList(blockList);
+
+    // Strict mode: lists may only get stricter (no new allows, no removed blocks)
+    const loosens = allow.some(p => !siteLists.allow.includes(p)) ||
+        siteLists.block.some(p => !block.includes(p));
+    if (loosens && await guardStrictMode('edit_site_lists')) {
+        return { success: false, error: 'Strict mode is active' };
+    }
+
+    await chrome.storage.local.set({ [ALLOW_LIST_KEY]: allow, [BLOCK_LIST_KEY]: block });
+    siteLists = { allow, block };
+    await syncBlockRules();
+    notifyDashboard('BEACON_SITE_LISTS_UPDATED', { allowList: allow, blockList: block });
+    debugLog('[LISTS] Synced', allow.length, 'allow /', block.length, 'block patterns');
+    return { success: true, allowList: allow, blockList: block };
+}
+
+// reason: shown on blocked.html, logReason: stored in the activity log
+function getBlocklistReasons(pattern) {
+    const managed = managedPolicy.blockList.includes(pattern);
+    return {
+        reason: managed ? `Blocked by your organization (${pattern})` : `On your blocklist (${pattern})`,
+        logReason: `${managed ? 'Managed blocklist' : 'Blocklist'} · ${pattern}`,
+        managed
+    };
+}
+
+// Hard-block a blocklisted page: logged like any block, but no backend call
+async function blockFromSiteList(tabId, url, pageTitle, pattern) {
+    if (await isBlockingPaused()) return;
+
+    const hostname = new URL(url).hostname.replace('www.', '');
+    const { reason, logReason, managed } = getBlocklistReasons(pattern);
+    addToLocalBlockLog({
+        decision: 'BLOCK',
+        url: url,
+        domain: hostname,
+        reason: logReason,
+        pageTitle: pageTitle || ''
+    });
+    blockPage(tabId, url, {
+        reason,
+        pageTitle,
+        managed
+    });
+}
+
+// --- 1. ROBUST CACHING (VERSION-BASED INVALIDATION) ---
+// All decisions live in ONE namespaced storage key (never as top-level keys), with:
+// - LRU eviction by entry count and approximate byte size
+// - per-entry TTL (expiresAt) on top of cacheVersion invalidation (bumped when rules change)
+// - hit/miss statistics for the dashboard
+// Reads are served from an in-memory mirror; writes persist immediately, access-time
+// and stat updates are batched.
+const DECISION_CACHE_KEY = 'decisionCache'; // { entries: { [normalizedUrl]: entry }, stats }
+const MAX_CACHE_SIZE = 200; // entries - plenty for frequently visited sites
+const MAX_CACHE_BYTES = 100 * 1024; // ~100KB budget for the serialized cache
+const DEFAULT_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Re-check a page at least weekly
+const CACHE_PERSIST_DELAY_MS = 2000;
+const CACHE_SCOPES = ['url', 'domain', 'none'];
+const CACHE_EXPIRY_ALARM = 'cacheExpiry';
+
+let decisionCache = null; // In-memory mirror, loaded lazily
+let decisionCacheLoading = null;
+let cachePersistTimer = null;
+
+function emptyCacheStats() {
+    return { hits: 0, misses: 0, evictions: 0, expirations: 0, since: Date.now() };
+}
+
 // Normalize URLs to be used as cache keys.
 function normalizeUrl(url) {
     try {
@@ -212,58 +747,374 @@ function normalizeUrl(url) {
     }
 }
 
+// Cache key for a URL: the normalized URL, or 'domain:<host>' for site-wide decisions
+function getCacheKey(url, scope = 'url') {
+    if (scope === 'domain') {
+        try {
+            return `domain:${new URL(url).hostname.toLowerCase().replace(/^www\./, '')}`;
+        } catch (e) {
+            return normalizeUrl(url);
+        }
+    }
+    return normalizeUrl(url);
+}
+
+// Older versions stored each decision as its own top-level storage key
+function isLegacyCacheEntry(key, value) {
+    return value && typeof value === 'object' && !Array.isArray(value) &&
+        (value.decision === 'BLOCK' || value.decision === 'ALLOW') &&
+        typeof value.timestamp === 'number' &&
+        key.includes('.');
+}
+
+async function loadDecisionCache() {
+    if (decisionCache) return decisionCache;
+    if (!decisionCacheLoading) {
+        decisionCacheLoading = (async () => {
+            // Legacy top-level entries are folded in by the storage migrations (see STORAGE MIGRATIONS)
+            const { [DECISION_CACHE_KEY]: stored } = await chrome.storage.local.get(DECISION_CACHE_KEY);
+            const cache = {
+                entries: stored?.entries || {},
+                stats: { ...emptyCacheStats(), ...(stored?.stats || {}) }
+            };
+
+            decisionCache = cache;
+            pruneDecisionCache();
+            await persistDecisionCache();
+            return decisionCache;
+        })().finally(() => {
+            decisionCacheLoading = null;
+        });
+    }
+    return decisionCacheLoading;
+}
+
+async function persistDecisionCache() {
+    clearTimeout(cachePersistTimer);
+    cachePersistTimer = null;
+    if (!decisionCache) return;
+    try {
+        await chrome.storage.local.set({ [DECISION_CACHE_KEY]: decisionCache });
+    } catch (e) {
+        console.error("Cache persist error:", e);
+    }
+}
+
+function schedulePersistDecisionCache() {
+    if (cachePersistTimer) return;
+    cachePersistTimer = setTimeout(persistDecisionCache, CACHE_PERSIST_DELAY_MS);
+}
+
+function getCacheBytes(entries) {
+    return JSON.stringify(entries).length;
+}
+
+// Drop expired entries, then evict least-recently-used entries until within budget
+function pruneDecisionCache() {
+    const { entries, stats } = decisionCache;
+    const now = Date.now();
+
+    for (const [key, entry] of Object.entries(entries)) {
+        // Server-timed entries are removed by handleCacheExpiry, which re-checks affected tabs
+        if (entry.expiresAt && entry.expiresAt <= now && !entry.serverExpiry) {
+            delete entries[key];
+            stats.expirations++;
+        }
+    }
+
+    const byAge = Object.keys(entries).sort((a, b) =>
+        (entries[a].lastAccess || entries[a].timestamp || 0) - (entries[b].lastAccess || entries[b].timestamp || 0)
+    );
+    let bytes = getCacheBytes(entries);
+    while (byAge.length > 0 && (byAge.length > MAX_CACHE_SIZE || bytes > MAX_CACHE_BYTES)) {
+        const key = byAge.shift();
+        bytes -= JSON.stringify(entries[key]).length + key.length + 4;
+        delete entries[key];
+        stats.evictions++;
+    }
+}
+
+// Returns the cached decision for url, or null if missing, expired or from an older cacheVersion.
+// A page-specific entry takes precedence over a site-wide ('domain' scope) one - unless it's a
+// prefetched non-BLOCK hint, which never lifts a site-wide BLOCK.
 async function getCache(url) {
-    const key = normalizeUrl(url);
     try {
-        const result = await chrome.storage.local.get(key);
-        return result[key];
+        const cache = await loadDecisionCache();
+        const urlKey = getCacheKey(url, 'url');
+        const domainKey = getCacheKey(url, 'domain');
+        const key = cache.entries[urlKey] && !isPrefetchedHintUnderBlock(cache.entries[urlKey], cache.entries[domainKey])
+            ? urlKey
+            : domainKey;
+        const entry = cache.entries[key];
+        const { cacheVersion: currentVersion } = await chrome.storage.local.get('cacheVersion');
+
+        let valid = !!entry;
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            delete cache.entries[key];
+            cache.stats.expirations++;
+            valid = false;
+        } else if (entry && currentVersion && entry.cacheVersion !== currentVersion) {
+            // Rules changed since this decision was made
+            delete cache.entries[key];
+            valid = false;
+        }
+
+        if (valid) {
+            entry.lastAccess = Date.now();
+            cache.stats.hits++;
+        } else {
+            cache.stats.misses++;
+        }
+        schedulePersistDecisionCache();
+        return valid ? entry : null;
     } catch (e) {
         console.error("Cache get error:", e);
         return null;
     }
 }
 
-async function setCache(url, data) {
-    const key = normalizeUrl(url);
-    const { cacheVersion } = await chrome.storage.local.get('cacheVersion');
-    const entry = { ...data, timestamp: Date.now(), cacheVersion: cacheVersion || null };
+function isPrefetchedHintUnderBlock(pageEntry, domainEntry) {
+    return !!pageEntry.prefetched && pageEntry.decision !== 'BLOCK' && domainEntry?.decision === 'BLOCK';
+}
+
+// Like getCache, but without touching the stats or expiring anything (prefetch dedupe)
+async function hasCachedDecision(url) {
+    const cache = await loadDecisionCache();
+    const entry = cache.entries[getCacheKey(url, 'url')] || cache.entries[getCacheKey(url, 'domain')];
+    return !!entry && !(entry.expiresAt && entry.expiresAt <= Date.now());
+}
+
+// options: { ttlMs (overrides the default TTL), scope ('url' | 'domain'), serverExpiry (expiry set by the backend) }
+async function setCache(url, data, options = {}) {
+    const key = getCacheKey(url, options.scope);
     try {
-        await chrome.storage.local.set({ [key]: entry });
+        const cache = await loadDecisionCache();
+        const { cacheVersion } = await chrome.storage.local.get('cacheVersion');
+        const now = Date.now();
+        cache.entries[key] = {
+            ...data,
+            timestamp: now,
+            lastAccess: now,
+            expiresAt: now + (options.ttlMs ?? DEFAULT_CACHE_TTL_MS),
+            ...(options.serverExpiry ? { serverExpiry: true } : {}),
+            cacheVersion: cacheVersion || null
+        };
+        pruneDecisionCache();
+        await persistDecisionCache();
     } catch (e) {
         console.error("Cache set error:", e);
     }
 }
 
-// Cleanup old cache entries to stay under MAX_CACHE_SIZE
-async function cleanupCache() {
-    try {
-        const items = await chrome.storage.local.get(null);
-        const reservedKeys = ['authToken', 'userEmail', 'cacheVersion', 'theme', BLOCK_LOG_KEY];
+async function clearDecisionCache() {
+    const cache = await loadDecisionCache();
+    cache.entries = {};
+    await persistDecisionCache();
+}
+
+// Forget the cached decision for a single page (and its site-wide entry)
+async function invalidateCachedDecision(url) {
+    const cache = await loadDecisionCache();
+    delete cache.entries[getCacheKey(url, 'url')];
+    delete cache.entries[getCacheKey(url, 'domain')];
+    await persistDecisionCache();
+    await syncBlockRules(); // The caller is about to reload the page
+}
+
+async function getCacheStats() {
+    const cache = await loadDecisionCache();
+    const { hits, misses, evictions, expirations, since } = cache.stats;
+    const lookups = hits + misses;
+    return {
+        success: true,
+        entries: Object.keys(cache.entries).length,
+        bytes: getCacheBytes(cache.entries),
+        maxEntries: MAX_CACHE_SIZE,
+        maxBytes: MAX_CACHE_BYTES,
+        hits,
+        misses,
+        evictions,
+        expirations,
+        hitRate: lookups > 0 ? hits / lookups : 0,
+        since
+    };
+}
+
+// --- TIME-SENSITIVE DECISIONS ---
+// Legacy fallback: guess from the reason text whether a decision depends on the clock
+// ("30 minutes left", "until 4:33 PM", ...). Only used when the backend sends no expiry fields.
+function isTimeSensitiveReason(reason) {
+    if (!reason) return false;
+    const reasonLower = reason.toLowerCase();
+    return /\d+\s*(min|sec|hour)/i.test(reason) ||  // "30 minutes left"
+        /\d{1,2}:\d{2}\s*(am|pm)/i.test(reason) || // "until 4:33 PM"
+        /\d{1,2}\s*(am|pm)/i.test(reason) ||      // "until 5pm"
+        reasonLower.includes('left)') ||
+        reasonLower.includes('until') ||
+        reasonLower.includes('till') ||
+        reasonLower.includes('through') ||
+        reasonLower.includes('before') ||
+        reasonLower.includes('after') ||
+        reasonLower.includes('starting') ||
+        reasonLower.includes('noon') ||
+        reasonLower.includes('midnight') ||
+        reasonLower.includes('timer') ||
+        reasonLower.includes('expired') ||
+        reasonLower.includes('clock');
+}
+
+// Turn /check-url's structured fields into { cache, scope, ttlMs, expiresAt }
+//   expiresAt:  ISO string or epoch ms after which the decision is stale
+//   ttlSeconds: relative lifetime (the earlier of the two wins)
+//   cacheScope: 'url' (default), 'domain' (whole site) or 'none' (never cache)
+function getCachePolicy(data) {
+    const hasStructuredFields = data.expiresAt != null || data.ttlSeconds != null || data.cacheScope != null;
+    if (!hasStructuredFields) {
+        return isTimeSensitiveReason(data.reason) ? { cache: false } : { cache: true, scope: 'url' };
+    }
+
+    const scope = CACHE_SCOPES.includes(data.cacheScope) ? data.cacheScope : 'url';
+    if (scope === 'none') return { cache: false };
+
+    const now = Date.now();
+    const candidates = [];
+    if (data.expiresAt != null) {
+        const absolute = typeof data.expiresAt === 'number' ? data.expiresAt : Date.parse(data.expiresAt);
+        if (Number.isFinite(absolute)) candidates.push(absolute);
+    }
+    if (data.ttlSeconds != null && Number.isFinite(Number(data.ttlSeconds))) {
+        candidates.push(now + Number(data.ttlSeconds) * 1000);
+    }
+    if (candidates.length === 0) return { cache: true, scope };
+
+    const expiresAt = Math.min(...candidates);
+    if (expiresAt <= now) return { cache: false };
+    return { cache: true, scope, ttlMs: expiresAt - now, expiresAt };
+}
+
+// Cache according to the server's structured expiry fields (expiresAt / ttlSeconds / cacheScope);
+// older backends without them fall back to guessing from the reason text.
+// prefetched: decided from a link (URL + link text) rather than the loaded page
+async function cacheDecision(url, title, data, { prefetched = false } = {}) {
+    const cachePolicy = getCachePolicy(data);
+    if (!cachePolicy.cache) {
+        debugLog('[CACHE] Skipping cache for time-sensitive decision');
+        return;
+    }
+    await setCache(url, {
+        decision: data.decision,
+        title: title,
+        reason: data.reason,
+        activePrompt: data.activePrompt || null,
+        ...(prefetched ? { prefetched: true } : {})
+    }, { ttlMs: cachePolicy.ttlMs, scope: cachePolicy.scope, serverExpiry: !!cachePolicy.expiresAt });
+    if (cachePolicy.expiresAt) scheduleCacheExpiryAlarm();
+}
+
+// A newer cacheVersion from the server means the rules changed - drop everything cached so far
+async function applyCacheVersion(cacheVersion) {
+    if (!cacheVersion) return;
+    const { cacheVersion: localVersion } = await chrome.storage.local.get('cacheVersion');
+    if (!localVersion || cacheVersion > localVersion) {
+        await handleClearLocalCache();
+        await chrome.storage.local.set({ cacheVersion: cacheVersion });
+        reevaluateOpenTabs('cache_version');
+    }
+}
+
+// Arm an alarm for the earliest server-timed entry so open tabs get re-checked right when it ends
+async function scheduleCacheExpiryAlarm() {
+    const cache = await loadDecisionCache();
+    const expiries = Object.values(cache.entries)
+        .filter(entry => entry.serverExpiry && entry.expiresAt)
+        .map(entry => entry.expiresAt);
+    await chrome.alarms.clear(CACHE_EXPIRY_ALARM);
+    if (expiries.length > 0) {
+        chrome.alarms.create(CACHE_EXPIRY_ALARM, { when: Math.max(Math.min(...expiries), Date.now() + 1000) });
+    }
+}
 
-        // Get all cache entries (normalized URLs start with http)
-        const cacheEntries = Object.entries(items)
-            .filter(([key]) => key.startsWith('http') && !reservedKeys.includes(key))
-            .map(([key, value]) => ({ key, timestamp: value.timestamp || 0 }));
+// Drop server-timed entries that just ended and re-check open tabs that relied on a timed ALLOW
+async function handleCacheExpiry() {
+    const cache = await loadDecisionCache();
+    const now = Date.now();
+    const endedAllowKeys = new Set();
 
-        if (cacheEntries.length > MAX_CACHE_SIZE) {
-            // Sort by timestamp (oldest first) and remove excess
-            cacheEntries.sort((a, b) => a.timestamp - b.timestamp);
-            const toRemove = cacheEntries.slice(0, cacheEntries.length - MAX_CACHE_SIZE);
-            await chrome.storage.local.remove(toRemove.map(e => e.key));
+    for (const [key, entry] of Object.entries(cache.entries)) {
+        if (entry.serverExpiry && entry.expiresAt <= now) {
+            if (entry.decision === 'ALLOW') endedAllowKeys.add(key);
+            delete cache.entries[key];
+            cache.stats.expirations++;
         }
-    } catch (e) {
-        console.error("Cache cleanup error:", e);
     }
+    await persistDecisionCache();
+
+    if (endedAllowKeys.size > 0) {
+        const tabs = await chrome.tabs.query({});
+        const affected = tabs.filter(tab => tab.url && /^https?:/.test(tab.url) &&
+            (endedAllowKeys.has(getCacheKey(tab.url, 'url')) || endedAllowKeys.has(getCacheKey(tab.url, 'domain'))));
+        debugLog('[CACHE] Timed allowance ended, re-checking', affected.length, 'tab(s)');
+        queueTabRechecks(affected);
+    }
+    scheduleCacheExpiryAlarm();
+}
+
+// Ask a tab's content script to send fresh page state, bypassing the per-tab dedup and cooldown
+function recheckTab(tabId, url) {
+    tabState[tabId] = { lastProcessedUrl: null, lastProcessedTitle: null, hasBeenChecked: false };
+    if (url) recentlyProcessed.delete(normalizeUrl(url));
+    chrome.tabs.sendMessage(tabId, { type: 'REQUEST_PAGE_STATE' }).catch(() => { /* No content script */ });
 }
 
-// Run cleanup on extension startup
-cleanupCache();
+// --- OPEN TAB RE-EVALUATION ---
+// After rules change (or blocking resumes) the open tabs are re-checked one at a time,
+// spaced out so a rule change doesn't fire a burst of /check-url calls.
+const RECHECK_INTERVAL_MS = 1500;
+const recheckQueue = new Map(); // tabId -> url
+let recheckTimer = null;
 
-// Periodic cache cleanup (every 5 minutes) - prevents unbounded growth
-setInterval(() => {
-    cleanupCache();
-    debugLog('[CLEANUP] Periodic cache cleanup completed');
-}, 5 * 60 * 1000);
+function queueTabRechecks(tabs) {
+    for (const tab of tabs) {
+        recheckQueue.set(tab.id, tab.url);
+    }
+    if (!recheckTimer && recheckQueue.size > 0) {
+        processRecheckQueue();
+    }
+}
+
+function processRecheckQueue() {
+    const next = recheckQueue.entries().next();
+    if (next.done) {
+        recheckTimer = null;
+        return;
+    }
+    const [tabId, url] = next.value;
+    recheckQueue.delete(tabId);
+    recheckTab(tabId, url);
+    recheckTimer = setTimeout(processRecheckQueue, RECHECK_INTERVAL_MS);
+}
+
+// Re-check every open web tab, active tabs first so what the user is looking at updates soonest
+async function reevaluateOpenTabs(trigger) {
+    if (await isBlockingPaused()) {
+        debugLog('[RECHECK] Skipping re-evaluation while blocking is paused');
+        return;
+    }
+    const tabs = (await chrome.tabs.query({}))
+        .filter(tab => tab.url && /^https?:/.test(tab.url))
+        .sort((a, b) => Number(b.active) - Number(a.active));
+    debugLog('[RECHECK] Re-evaluating', tabs.length, 'open tab(s) after', trigger);
+    queueTabRechecks(tabs);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === CACHE_EXPIRY_ALARM) {
+        handleCacheExpiry();
+    }
+});
+
+// Load (and migrate) the cache on extension startup
+loadDecisionCache().then(scheduleCacheExpiryAlarm);
 
 // Periodic cleanup of recentlyProcessed and pendingRequests maps (every minute)
 setInterval(() => {
@@ -303,34 +1154,251 @@ chrome.storage.local.get(['localBlockLog', 'authToken'], (result) => {
     }
 });
 
-// --- LOCAL BLOCK LOG (Privacy-First) ---
-// Stores recent blocks locally - NEVER sent to server
-// Auto-delete is user-configurable (off by default)
-const MAX_BLOCK_LOG_SIZE = 1000; // ~500KB - reasonable memory footprint
-const BLOCK_LOG_KEY = 'localBlockLog';
-const DEFAULT_LOG_RETENTION_DAYS = 7;
+// --- LINK PREFETCH (batch classification before the click) ---
+// With prefetch on, content scripts report links the user hovers or scrolls past. They're classified in
+// batches through /check-urls so the decision is already cached when the link is clicked, and onUpdated
+// can block before the page renders. Batches need the hosted classifier; local models are too slow.
+// prefetchSettings: { enabled, batchSize, concurrency, dailyQuota } - the quota counts URLs per day.
+const PREFETCH_SETTINGS_KEY = 'prefetchSettings';
+const PREFETCH_USAGE_KEY = 'prefetchUsage'; // { date, count }
+const DEFAULT_PREFETCH_SETTINGS = { enabled: false, batchSize: 20, concurrency: 2, dailyQuota: 500 };
+const PREFETCH_LIMITS = { batchSize: [1, 50], concurrency: [1, 4], dailyQuota: [0, 5000] }; // [min, max]
+const MAX_PREFETCH_QUEUE = 200;
+const PREFETCH_BATCH_DELAY_MS = 500; // Lets links from one scroll or hover burst share a batch
+
+let prefetchSettings = { ...DEFAULT_PREFETCH_SETTINGS };
+const prefetchQueue = new Map(); // normalized URL -> { url, title, hover }
+let activePrefetchBatches = 0;
+let prefetchTimer = null;
+let prefetchQuotaUpdate = Promise.resolve(0);
+let batchEndpointMissing = false; // Older backend without /check-urls - stop asking until restart
+
+function validatePrefetchSettings(settings) {
+    if (!settings || typeof settings !== 'object') return null;
+    const validated = { enabled: settings.enabled === true };
+    for (const [key, [min, max]] of Object.entries(PREFETCH_LIMITS)) {
+        const value = settings[key] === undefined ? DEFAULT_PREFETCH_SETTINGS[key] : Number(settings[key]);
+        if (!Number.isInteger(value) || value < min || value > max) return null;
+        validated[key] = value;
+    }
+    return validated;
+}
 
-// Get the user's configured retention period (or Infinity if disabled)
-async function getLogRetentionMs() {
-    const { autoDeleteActivityLog, activityLogRetention } = await chrome.storage.local.get([
-        'autoDeleteActivityLog',
-        'activityLogRetention'
-    ]);
+async function loadPrefetchSettings() {
+    const { [PREFETCH_SETTINGS_KEY]: stored } = await chrome.storage.local.get(PREFETCH_SETTINGS_KEY);
+    prefetchSettings = validatePrefetchSettings(stored) || { ...DEFAULT_PREFETCH_SETTINGS };
+}
 
-    // If auto-delete is disabled (or not set), return Infinity (never delete)
-    if (autoDeleteActivityLog !== true) {
-        return Infinity;
+// Omitted fields keep their current value
+async function syncPrefetchSettings(settings) {
+    const validated = validatePrefetchSettings({ ...prefetchSettings, ...settings });
+    if (!validated) {
+        return { success: false, error: 'Invalid prefetch settings' };
     }
+    await chrome.storage.local.set({ [PREFETCH_SETTINGS_KEY]: validated });
+    prefetchSettings = validated;
+    if (!validated.enabled) prefetchQueue.clear();
+    notifyDashboard('BEACON_PREFETCH_SETTINGS_UPDATED', { settings: validated });
+    return { success: true, settings: validated, usage: await getPrefetchUsage() };
+}
 
-    // Use stored retention or default to 7 days
-    const days = activityLogRetention ?? DEFAULT_LOG_RETENTION_DAYS;
-    return days * 24 * 60 * 60 * 1000;
+async function getPrefetchUsage() {
+    const { [PREFETCH_USAGE_KEY]: usage } = await chrome.storage.local.get(PREFETCH_USAGE_KEY);
+    return usage?.date === getLocalDateKey() ? usage : { date: getLocalDateKey(), count: 0 };
 }
 
-async function addToLocalBlockLog(blockData) {
-    // Check if we should log ALLOW decisions (off by default)
+// Claims up to `wanted` URLs of today's quota and returns how many were granted.
+// Serialized so concurrent batches can't both spend the same remainder.
+function reservePrefetchQuota(wanted) {
+    prefetchQuotaUpdate = prefetchQuotaUpdate.catch(() => 0).then(async () => {
+        const usage = await getPrefetchUsage();
+        const granted = Math.max(0, Math.min(wanted, prefetchSettings.dailyQuota - usage.count));
+        if (granted > 0) {
+            await chrome.storage.local.set({ [PREFETCH_USAGE_KEY]: { date: usage.date, count: usage.count + granted } });
+        }
+        return granted;
+    });
+    return prefetchQuotaUpdate;
+}
+
+// links: [{ url, text, hover }] from the content script
+async function queuePrefetch(links) {
+    if (!prefetchSettings.enabled || batchEndpointMissing || !Array.isArray(links)) return;
+    if (classifierSettings.provider !== 'beacon' || !authToken) return;
+    if (await isBlockingPaused()) return;
+
+    for (const link of links.slice(0, MAX_PREFETCH_QUEUE)) {
+        let url;
+        try {
+            url = new URL(String(link?.url));
+        } catch (e) {
+            continue;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+        // Site lists decide these without the backend
+        if (getSiteListMatch(url.href)) continue;
+
+        const key = normalizeUrl(url.href);
+        const queued = prefetchQueue.get(key);
+        if (queued) {
+            queued.hover = queued.hover || link.hover === true;
+            continue;
+        }
+        if (prefetchQueue.size >= MAX_PREFETCH_QUEUE) break;
+        if (pendingRequests.has(key) || await hasCachedDecision(url.href)) continue;
+        prefetchQueue.set(key, { url: url.href, title: String(link.text || '').slice(0, 200), hover: link.hover === true });
+    }
+    if (prefetchQueue.size > 0 && !prefetchTimer) {
+        prefetchTimer = setTimeout(() => {
+            prefetchTimer = null;
+            processPrefetchQueue();
+        }, PREFETCH_BATCH_DELAY_MS);
+    }
+}
+
+function processPrefetchQueue() {
+    while (activePrefetchBatches < prefetchSettings.concurrency && prefetchQueue.size > 0) {
+        // Hovered links first - they're the likeliest next click
+        const batch = [...prefetchQueue.entries()]
+            .sort(([, a], [, b]) => Number(b.hover) - Number(a.hover))
+            .slice(0, prefetchSettings.batchSize);
+        batch.forEach(([key]) => prefetchQueue.delete(key));
+
+        activePrefetchBatches++;
+        runPrefetchBatch(batch.map(([, item]) => item)).finally(() => {
+            activePrefetchBatches--;
+            processPrefetchQueue();
+        });
+    }
+}
+
+async function runPrefetchBatch(items) {
+    const granted = await reservePrefetchQuota(items.length);
+    if (granted < items.length) {
+        debugLog('[PREFETCH] Daily quota used up');
+        prefetchQueue.clear();
+    }
+    if (granted === 0) return;
+
+    const pages = items.slice(0, granted);
+    try {
+        const data = await classifyBatchWithBeacon(pages.map(({ url, title }) => ({ url, title })));
+        if (!data) return;
+        await applyCacheVersion(data.cacheVersion);
+
+        let cached = 0;
+        for (const result of Array.isArray(data.results) ? data.results : []) {
+            const page = pages.find(item => item.url === result?.url);
+            if (!page || (result.decision !== 'BLOCK' && result.decision !== 'ALLOW')) continue;
+            await cacheDecision(page.url, page.title, result, { prefetched: true });
+            cached++;
+        }
+        debugLog('[PREFETCH] Cached', cached, 'of', pages.length, 'links');
+    } catch (e) {
+        // Best effort - a failed prefetch just means the click gets checked normally
+        console.warn('[PREFETCH] Batch failed:', e.message);
+    }
+}
+
+// A prefetched BLOCK was decided from the link alone. It blocks as soon as the page starts loading
+// (or in pre-render) so nothing flashes, and then the page goes through the classifier itself. If
+// that allows it, the new decision replaces the prefetched one and the tab goes back to the page.
+// A failed confirmation keeps the block until the prefetched entry expires.
+const prefetchConfirmations = new Set(); // normalizeUrl() keys being confirmed
+
+async function confirmPrefetchedBlock(tabId, url, title) {
+    const key = normalizeUrl(url);
+    if (prefetchConfirmations.has(key)) return;
+    prefetchConfirmations.add(key);
+    try {
+        const pageData = {
+            url,
+            title: title || '',
+            localTime: new Date().toLocaleString('en-US', { weekday: 'long', hour: 'numeric', minute: 'numeric', hour12: true })
+        };
+        const data = await getClassifierProvider().classify(pageData, classifierSettings, { tabId });
+        if (!data) return;
+        await applyCacheVersion(data.cacheVersion);
+        await cacheDecision(url, title, data);
+        if (data.decision === 'BLOCK') return;
+
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        if (!tab?.url?.startsWith(blockedPageUrl) || blockContexts.get(tabId)?.url !== url) return;
+        debugLog('[PREFETCH] Page check overturned a prefetched block, reopening:', url);
+        blockContexts.delete(tabId);
+        await syncBlockRules(); // Lift the redirect rule before going back
+        await chrome.tabs.update(tabId, { url });
+    } catch (e) {
+        console.warn('[PREFETCH] Could not confirm prefetched block:', e.message);
+    } finally {
+        prefetchConfirmations.delete(key);
+    }
+}
+
+// POST /check-urls { encryptedData: { pages: [{ url, title }] }, localTime }
+//   -> { results: [{ url, decision, reason, activePrompt, expiresAt?, ttlSeconds?, cacheScope? }], cacheVersion? }
+// Returns null when the batch was refused. Unlike /check-url it never sets the backend status.
+async function classifyBatchWithBeacon(pages) {
+    const localTime = new Date().toLocaleString('en-US', { weekday: 'long', hour: 'numeric', minute: 'numeric', hour12: true });
+    const userId = getUserIdFromToken(authToken);
+    const body = userId
+        ? { encryptedData: await encryptString(JSON.stringify({ pages }), userId), localTime }
+        : { pages, localTime };
+
+    // No retries - the user may never click any of these links
+    const response = await fetchWithTimeout(`${BEACON_CONFIG.BACKEND_URL}/check-urls`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
+        body: JSON.stringify(body)
+    });
+
+    if (response.status === 404 || response.status === 405 || response.status === 501) {
+        debugLog('[PREFETCH] Backend has no batch endpoint, prefetch off until restart');
+        batchEndpointMissing = true;
+        prefetchQueue.clear();
+        return null;
+    }
+    if (response.status === 401 || response.status === 403) {
+        refreshAuthToken();
+        return null;
+    }
+    if (response.status === 402) {
+        await setSubscriptionRequired(true);
+        return null;
+    }
+    if (!response.ok) throw new Error(`Server error: ${response.status}`);
+    return response.json();
+}
+
+// --- LOCAL BLOCK LOG (Privacy-First) ---
+// Stores recent blocks locally - NEVER sent to server
+// Auto-delete is user-configurable (off by default)
+const MAX_BLOCK_LOG_SIZE = 1000; // ~500KB - reasonable memory footprint
+const BLOCK_LOG_KEY = 'localBlockLog';
+const DEFAULT_LOG_RETENTION_DAYS = 7;
+
+// Get the user's configured retention period (or Infinity if disabled)
+async function getLogRetentionMs() {
+    const { autoDeleteActivityLog, activityLogRetention } = await chrome.storage.local.get([
+        'autoDeleteActivityLog',
+        'activityLogRetention'
+    ]);
+
+    // If auto-delete is disabled (or not set), return Infinity (never delete)
+    if (autoDeleteActivityLog !== true) {
+        return Infinity;
+    }
+
+    // Use stored retention or default to 7 days
+    const days = activityLogRetention ?? DEFAULT_LOG_RETENTION_DAYS;
+    return days * 24 * 60 * 60 * 1000;
+}
+
+async function addToLocalBlockLog(blockData) {
+    // Check if we should log ALLOW decisions (off by default)
     const decision = blockData.decision || 'BLOCK';
-    if (decision === 'ALLOW') {
+    // Decisions made while the backend was down are always logged so failures stay visible
+    if (decision === 'ALLOW' && !blockData.degraded) {
         const { logAllowDecisions } = await chrome.storage.local.get('logAllowDecisions');
         debugLog('[ACTIVITY LOG] ALLOW decision - logAllowDecisions setting:', logAllowDecisions);
         if (!logAllowDecisions) {
@@ -373,9 +1441,11 @@ async function addToLocalBlockLog(blockData) {
             url: blockData.url,
             domain: blockData.domain,
             reason: blockData.reason,
-            decision: decision, // NEW: 'BLOCK' or 'ALLOW'
+            decision: decision, // 'BLOCK', 'ALLOW' or 'OVERRIDE'
             pageTitle: blockData.pageTitle || '',
             activePrompt: blockData.activePrompt || null,
+            ...(blockData.degraded ? { degraded: true } : {}),
+            ...(blockData.shortsSession ? { shortsSession: blockData.shortsSession } : {}),
             timestamp: Date.now()
         });
 
@@ -442,15 +1512,384 @@ async function deleteSingleLog(timestamp) {
     }
 }
 
+// Find the decision behind a block: the in-memory context recorded by blockPage(),
+// falling back to the most recent BLOCK entry in the local log for the same URL
+async function getBlockContext(tabId, url) {
+    const context = blockContexts.get(tabId);
+    if (context && (!url || context.url === url)) {
+        return context;
+    }
+
+    if (!url) return null;
+    const logs = await getLocalBlockLog();
+    const entry = logs.find(log => log.url === url && (log.decision || 'BLOCK') === 'BLOCK');
+    if (!entry) return null;
+
+    const reason = entry.reason || '';
+    const isCached = reason.startsWith('Cached decision');
+    return {
+        url: entry.url,
+        domain: entry.domain,
+        reason: isCached ? reason.replace(/^Cached decision( · )?/, '') : reason,
+        activePrompt: entry.activePrompt || null,
+        pageTitle: entry.pageTitle || '',
+        cached: isCached,
+        managed: !!getSiteListMatch(entry.url)?.managed,
+        timestamp: entry.timestamp
+    };
+}
+
+// --- ACTIVITY SUMMARY (computed locally - raw logs never leave the browser) ---
+const SHORT_FORM_REASON = 'Short-form Content';
+const SUMMARY_MAX_DAYS = 90;
+const SUMMARY_TOP_DOMAINS = 10;
+
+function getTopCounts(counts, limit) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([domain, count]) => ({ domain, count }));
+}
+
+// Aggregates over the last `days` days (1 = today only): blocks per day, top blocked
+// domains, busiest hours, short-form time per platform and overrides
+async function getActivitySummary({ days = 7 } = {}) {
+    const dayCount = Math.min(Math.max(Math.round(Number(days)) || 7, 1), SUMMARY_MAX_DAYS);
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (dayCount - 1));
+
+    const perDay = {};
+    for (let i = 0; i < dayCount; i++) {
+        const date = new Date(start);
+        date.setDate(start.getDate() + i);
+        perDay[getLocalDateKey(date)] = { blocks: 0, overrides: 0 };
+    }
+
+    const blockedDomains = {};
+    const overrideDomains = {};
+    const hours = new Array(24).fill(0);
+    const shorts = {};
+    const totals = { blocks: 0, allows: 0, overrides: 0, degraded: 0, shortsSessions: 0 };
+
+    const logs = await getLocalBlockLog();
+    for (const entry of logs) {
+        if (!entry.timestamp || entry.timestamp < start.getTime()) continue;
+        const when = new Date(entry.timestamp);
+        const day = perDay[getLocalDateKey(when)];
+        const decision = entry.decision || 'BLOCK';
+        const domain = entry.domain || 'unknown';
+        if (entry.degraded) totals.degraded++;
+
+        // Short-form sessions are logged as BLOCK entries but are watch time, not blocks
+        if (entry.shortsSession || entry.reason === SHORT_FORM_REASON) {
+            totals.shortsSessions++;
+            const platform = entry.shortsSession?.platform || 'Other';
+            shorts[platform] = shorts[platform] || { sessions: 0, seconds: 0, videos: 0 };
+            shorts[platform].sessions++;
+            shorts[platform].seconds += entry.shortsSession?.durationSeconds || 0;
+            shorts[platform].videos += entry.shortsSession?.count || 0;
+            continue;
+        }
+
+        if (decision === 'BLOCK') {
+            totals.blocks++;
+            if (day) day.blocks++;
+            blockedDomains[domain] = (blockedDomains[domain] || 0) + 1;
+            hours[when.getHours()]++;
+        } else if (decision === 'OVERRIDE') {
+            totals.overrides++;
+            if (day) day.overrides++;
+            overrideDomains[domain] = (overrideDomains[domain] || 0) + 1;
+        } else if (decision === 'ALLOW') {
+            totals.allows++;
+        }
+    }
+
+    const busiestHours = hours
+        .map((count, hour) => ({ hour, count }))
+        .filter(h => h.count > 0)
+        .sort((a, b) => b.count - a.count || a.hour - b.hour)
+        .slice(0, 3);
+
+    return {
+        success: true,
+        days: dayCount,
+        from: start.getTime(),
+        totals,
+        perDay: Object.entries(perDay).map(([date, counts]) => ({ date, ...counts })),
+        topDomains: getTopCounts(blockedDomains, SUMMARY_TOP_DOMAINS),
+        hours,
+        busiestHours,
+        shorts,
+        overrides: { count: totals.overrides, topDomains: getTopCounts(overrideDomains, SUMMARY_TOP_DOMAINS) }
+    };
+}
+
+// --- ACTIVITY LOG EXPORT / IMPORT (file stays on the user's machine) ---
+const LOG_DECISIONS = ['BLOCK', 'ALLOW', 'OVERRIDE'];
+const LOG_CSV_COLUMNS = ['timestamp', 'date', 'decision', 'domain', 'url', 'pageTitle', 'reason', 'activePrompt', 'degraded'];
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+// Filter log entries by { from, to } (ms timestamps, inclusive) and decisions
+function filterLogEntries(logs, { from, to, decisions } = {}) {
+    const allowed = Array.isArray(decisions) && decisions.length > 0 ? decisions : LOG_DECISIONS;
+    return logs.filter(log =>
+        (from == null || log.timestamp >= from) &&
+        (to == null || log.timestamp <= to) &&
+        allowed.includes(log.decision || 'BLOCK'));
+}
+
+// Quote a CSV cell; cells that a spreadsheet would run as a formula get a leading apostrophe
+function toCsvCell(value) {
+    let text = value == null ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell); cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c !== ''));
+}
+
+function fromCsvCell(text) {
+    return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+async function exportBlockLog({ format = 'json', from, to, decisions } = {}) {
+    if (!['json', 'csv'].includes(format)) {
+        return { success: false, error: 'Unsupported format' };
+    }
+    const entries = filterLogEntries(await getLocalBlockLog(), { from, to, decisions });
+    const stamp = getLocalDateKey();
+
+    if (format === 'json') {
+        return {
+            success: true,
+            count: entries.length,
+            filename: `beacon-activity-${stamp}.json`,
+            mimeType: 'application/json',
+            content: JSON.stringify({ type: 'beacon-activity-log', version: 1, exportedAt: Date.now(), entries }, null, 2)
+        };
+    }
+
+    const lines = [LOG_CSV_COLUMNS.join(',')];
+    for (const log of entries) {
+        lines.push([
+            log.timestamp, new Date(log.timestamp).toISOString(), log.decision || 'BLOCK', log.domain, log.url,
+            log.pageTitle, log.reason, log.activePrompt, log.degraded ? 'true' : ''
+        ].map(toCsvCell).join(','));
+    }
+    return {
+        success: true,
+        count: entries.length,
+        filename: `beacon-activity-${stamp}.csv`,
+        mimeType: 'text/csv',
+        content: lines.join('\r\n')
+    };
+}
+
+// Turn imported JSON/CSV into clean log entries (unknown fields are dropped)
+function parseImportedLog(content) {
+    const trimmed = content.trim();
+    let raw;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const parsed = JSON.parse(trimmed);
+        raw = Array.isArray(parsed) ? parsed : parsed.entries;
+        if (!Array.isArray(raw)) throw new Error('No entries found');
+    } else {
+        const [header, ...rows] = parseCsv(trimmed);
+        if (!header || !header.includes('timestamp') || !header.includes('url')) {
+            throw new Error('Unrecognized file format');
+        }
+        raw = rows.map(row => Object.fromEntries(header.map((name, i) => [name, fromCsvCell(row[i] ?? '')])));
+    }
+
+    const entries = [];
+    for (const item of raw) {
+        const timestamp = Number(item?.timestamp);
+        const decision = item?.decision || 'BLOCK';
+        if (!Number.isFinite(timestamp) || typeof item.url !== 'string' || !item.url || !LOG_DECISIONS.includes(decision)) {
+            continue;
+        }
+        let domain = item.domain;
+        if (!domain) {
+            try { domain = new URL(item.url).hostname.replace('www.', ''); } catch (e) { domain = ''; }
+        }
+        entries.push({
+            url: item.url,
+            domain,
+            reason: item.reason || '',
+            decision,
+            pageTitle: item.pageTitle || '',
+            activePrompt: item.activePrompt || null,
+            ...(item.degraded === true || item.degraded === 'true' ? { degraded: true } : {}),
+            ...(item.shortsSession && typeof item.shortsSession === 'object' ? { shortsSession: item.shortsSession } : {}),
+            timestamp
+        });
+    }
+    return { entries, invalid: raw.length - entries.length };
+}
+
+// Merge imported entries into the log, skipping ones already present (same timestamp + URL)
+// and ones older than the retention setting. The MAX_BLOCK_LOG_SIZE cap keeps the newest.
+async function importBlockLog(content) {
+    if (typeof content !== 'string' || !content.trim()) {
+        return { success: false, error: 'File is empty' };
+    }
+    if (content.length > MAX_IMPORT_BYTES) {
+        return { success: false, error: 'File is too large' };
+    }
+
+    let parsed;
+    try {
+        parsed = parseImportedLog(content);
+    } catch (e) {
+        return { success: false, error: `Could not read file: ${e.message}` };
+    }
+
+    const existing = await getLocalBlockLog();
+    const retentionMs = await getLogRetentionMs();
+    const now = Date.now();
+    const seen = new Set(existing.map(log => `${log.timestamp}|${log.url}`));
+    let duplicates = 0;
+    let expired = 0;
+    const added = [];
+    for (const entry of parsed.entries) {
+        const key = `${entry.timestamp}|${entry.url}`;
+        if (seen.has(key)) { duplicates++; continue; }
+        if (retentionMs !== Infinity && now - entry.timestamp >= retentionMs) { expired++; continue; }
+        seen.add(key);
+        added.push(entry);
+    }
+
+    const merged = existing.concat(added).sort((a, b) => b.timestamp - a.timestamp);
+    const kept = merged.slice(0, MAX_BLOCK_LOG_SIZE);
+    await chrome.storage.local.set({ [BLOCK_LOG_KEY]: kept });
+    if (added.length > 0) notifyDashboard('BEACON_BLOCK_LOG_UPDATED');
+
+    debugLog('[BLOCK LOG] Imported', added.length, 'entries,', duplicates, 'duplicates,', expired, 'past retention');
+    return {
+        success: true,
+        imported: added.length,
+        duplicates,
+        expired,
+        invalid: parsed.invalid,
+        trimmed: merged.length - kept.length,
+        total: kept.length
+    };
+}
+
+// --- TEMPORARY OVERRIDES ("Continue anyway" on blocked.html) ---
+// A justified, time-limited allowance for one normalized URL or a whole domain.
+// Stored as Map<key, { until, scope, url }> where key is normalizeUrl(url) or 'domain:<hostname>'
+const OVERRIDE_KEY = 'temporaryAllowances';
+const OVERRIDE_DURATIONS_MIN = [5, 15, 30];
+const OVERRIDE_MIN_REASON_LENGTH = 3;
+
+function getOverrideDomain(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+async function getActiveAllowance(url) {
+    const { [OVERRIDE_KEY]: allowances } = await chrome.storage.local.get(OVERRIDE_KEY);
+    if (!allowances) return null;
+
+    const now = Date.now();
+    const keys = [normalizeUrl(url), `domain:${getOverrideDomain(url)}`];
+    for (const key of keys) {
+        const allowance = allowances[key];
+        if (allowance && allowance.until > now) {
+            return allowance;
+        }
+    }
+    return null;
+}
+
+async function grantTemporaryAllowance({ url, scope, minutes, justification, pageTitle }) {
+    const reasonText = (justification || '').trim();
+    if (reasonText.length < OVERRIDE_MIN_REASON_LENGTH) {
+        return { success: false, error: 'Please give a short reason' };
+    }
+    if (!OVERRIDE_DURATIONS_MIN.includes(minutes)) {
+        return { success: false, error: 'Invalid duration' };
+    }
+
+    const domain = getOverrideDomain(url);
+    if (!domain) {
+        return { success: false, error: 'Invalid URL' };
+    }
+    // The administrator's blocklist can't be overridden from blocked.html
+    if (getSiteListMatch(url)?.managed) {
+        return { success: false, error: 'Blocked by your organization' };
+    }
+
+    const overrideScope = scope === 'domain' ? 'domain' : 'url';
+    const key = overrideScope === 'domain' ? `domain:${domain}` : normalizeUrl(url);
+    const now = Date.now();
+    const until = now + minutes * 60 * 1000;
+
+    const { [OVERRIDE_KEY]: stored } = await chrome.storage.local.get(OVERRIDE_KEY);
+    const allowances = {};
+    // Drop expired allowances while we're here
+    for (const [existingKey, allowance] of Object.entries(stored || {})) {
+        if (allowance.until > now) allowances[existingKey] = allowance;
+    }
+    allowances[key] = { until, scope: overrideScope, url };
+    await chrome.storage.local.set({ [OVERRIDE_KEY]: allowances });
+    // blocked.html navigates back right away - the redirect rule must be lifted first
+    await syncBlockRules();
+
+    // Forget the old block so the page is re-evaluated once the allowance ends
+    recentlyProcessed.delete(normalizeUrl(url));
+
+    addToLocalBlockLog({
+        decision: 'OVERRIDE',
+        url: url,
+        domain: domain,
+        reason: `Allowed ${overrideScope === 'domain' ? domain : 'this page'} for ${minutes} min · ${reasonText}`,
+        pageTitle: pageTitle || ''
+    });
+    notifyDashboard('BEACON_BLOCK_LOG_UPDATED');
+
+    debugLog('[OVERRIDE] Granted', overrideScope, key, 'until', new Date(until).toLocaleTimeString());
+    return { success: true, until };
+}
 
 // --- SHARED MESSAGE HANDLER FOR BLOCK LOG OPERATIONS ---
 // Used by both onMessage and onMessageExternal to avoid code duplication
 async function handleBlockLogMessage(message, sendResponse) {
     switch (message.type) {
-        case 'GET_BLOCK_LOG':
+        case 'GET_BLOCK_LOG': {
             const logs = await getLocalBlockLog();
             sendResponse({ success: true, logs });
             return true;
+        }
 
         case 'CLEAR_BLOCK_LOG':
             await clearLocalBlockLog();
@@ -462,6 +1901,25 @@ async function handleBlockLogMessage(message, sendResponse) {
             sendResponse({ success: true });
             return true;
 
+        case 'GET_BLOCK_CONTEXT': {
+            if (message.prerender) await recordPrerenderBlock(message.tabId, message.url);
+            const context = await getBlockContext(message.tabId, message.url);
+            sendResponse({ success: !!context, context });
+            return true;
+        }
+
+        case 'GET_ACTIVITY_SUMMARY':
+            sendResponse(await getActivitySummary({ days: message.days }));
+            return true;
+
+        case 'EXPORT_BLOCK_LOG':
+            sendResponse(await exportBlockLog(message));
+            return true;
+
+        case 'IMPORT_BLOCK_LOG':
+            sendResponse(await importBlockLog(message.content));
+            return true;
+
         default:
             return false;
     }
@@ -490,145 +1948,1331 @@ async function notifyDashboard(eventType, detail = {}) {
     }
 }
 
-// --- 2. AUTHENTICATION (JWT) ---
-let authToken = null;
-const TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// --- STRICT MODE ---
+// While strictModeUntil is in the future, every path that would loosen blocking
+// (pause, logout, override, cache clear) is refused and reported as a bypass attempt
+const STRICT_MODE_ALARM = 'strictModeEnd';
+const STRICT_MODE_MAX_MINUTES = 12 * 60;
+
+async function isStrictModeActive() {
+    await stateReady; // The managed policy can force strict mode
+    if (isManagedStrictWindow()) return true;
+    const { strictModeUntil } = await chrome.storage.local.get('strictModeUntil');
+    return !!strictModeUntil && strictModeUntil > Date.now();
+}
 
-async function loadAuthToken() {
-    try {
-        const items = await chrome.storage.local.get(['authToken', 'authTokenExpiry']);
+// Returns true (and records the attempt) if `action` must be refused
+async function guardStrictMode(action) {
+    if (!(await isStrictModeActive())) return false;
+    debugLog('[STRICT] Refused during strict mode:', action);
+    sendEngagementEvent('strict_mode_bypass_attempt', { action });
+    return true;
+}
 
-        // Check if token has expired
-        if (items.authTokenExpiry && Date.now() > items.authTokenExpiry) {
-            debugLog('[AUTH] Token expired, clearing');
-            await chrome.storage.local.remove(['authToken', 'authTokenExpiry', 'userEmail']);
-            authToken = null;
-            return;
-        }
+async function startStrictMode(durationMinutes, goal) {
+    const minutes = Number(durationMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > STRICT_MODE_MAX_MINUTES) {
+        return { success: false, error: 'Invalid duration' };
+    }
 
-        authToken = items.authToken;
-        if (!authToken) {
-            // Do NOT auto-open login. It's annoying.
-        }
-    } catch (error) { console.error("Error loading auth token:", error); }
+    const { strictModeUntil: currentUntil } = await chrome.storage.local.get('strictModeUntil');
+    const until = Date.now() + Math.round(minutes * 60 * 1000);
+    // An active session can only be extended, never shortened
+    if (currentUntil && currentUntil > until) {
+        return { success: false, error: 'Strict mode is already active for longer' };
+    }
+
+    await chrome.storage.local.set({
+        strictModeUntil: until,
+        strictModeGoal: goal ? String(goal).trim() : null,
+        blockingPaused: false
+    });
+    // Strict mode ends any pause, timed or not
+    await chrome.storage.local.remove('pausedUntil');
+    await chrome.alarms.clear(PAUSE_RESUME_ALARM);
+    chrome.alarms.create(STRICT_MODE_ALARM, { when: until });
+
+    sendEngagementEvent('strict_mode_start', { duration_minutes: minutes, has_goal: !!goal });
+    notifyDashboard('BEACON_PAUSE_UPDATED', { paused: false });
+    notifyDashboard('BEACON_STRICT_MODE_UPDATED', { active: true, until, goal: goal || null });
+    debugLog('[STRICT] Started until', new Date(until).toLocaleTimeString());
+    return { success: true, until };
 }
 
-function openLogin() {
-    // Deprecated: login.html
-    // Redirect to Dashboard instead
-    chrome.tabs.create({ url: BEACON_CONFIG.DASHBOARD_URL });
+async function endStrictMode() {
+    const { strictModeUntil } = await chrome.storage.local.get('strictModeUntil');
+    if (!strictModeUntil) return;
+
+    await chrome.storage.local.remove(['strictModeUntil', 'strictModeGoal']);
+    sendEngagementEvent('strict_mode_end', {});
+    notifyDashboard('BEACON_STRICT_MODE_UPDATED', { active: false });
+    debugLog('[STRICT] Ended');
 }
 
-chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'local' && changes.authToken) {
-        authToken = changes.authToken.newValue;
+async function getStrictModeState() {
+    const { strictModeUntil, strictModeGoal } = await chrome.storage.local.get(['strictModeUntil', 'strictModeGoal']);
+    const active = !!strictModeUntil && strictModeUntil > Date.now();
+    if (isManagedStrictWindow()) {
+        // Forced by policy until its window ends (or the user's own session, if longer)
+        const windowEnd = getNextScheduleChange(managedPolicy.strictModeSchedule);
+        const until = active && (!windowEnd || strictModeUntil > windowEnd) ? strictModeUntil : windowEnd;
+        return { active: true, until, goal: active ? strictModeGoal || null : null, managed: true };
+    }
+    return { active, until: active ? strictModeUntil : null, goal: active ? strictModeGoal || null : null };
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === STRICT_MODE_ALARM) {
+        endStrictMode();
     }
 });
 
-async function initialize() {
-    await loadAuthToken();
+// --- PAUSE HANDLING (shared by popup, dashboard bridge and onMessageExternal) ---
+// A pause is either open-ended or timed: pausedUntil + the PAUSE_RESUME_ALARM resume it automatically.
+const PAUSE_RESUME_ALARM = 'pauseResume';
+const MAX_PAUSE_MINUTES = 24 * 60;
+
+// Resolve { durationMinutes } or { until } (ms timestamp) into a resume time; null = open-ended
+function getPauseEnd({ durationMinutes, until } = {}) {
+    if (durationMinutes != null) {
+        const minutes = Number(durationMinutes);
+        if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_PAUSE_MINUTES) {
+            throw new Error('Invalid pause duration');
+        }
+        return Date.now() + Math.round(minutes * 60 * 1000);
+    }
+    if (until != null) {
+        const end = typeof until === 'number' ? until : Date.parse(until);
+        if (!Number.isFinite(end) || end <= Date.now() || end - Date.now() > MAX_PAUSE_MINUTES * 60 * 1000) {
+            throw new Error('Invalid pause end time');
+        }
+        return end;
+    }
+    return null;
 }
-initialize();
 
-// --- 3. CORE MESSAGE LISTENER ---
-// Listen for messages from content scripts or popup
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    debugLog('[BEACON BG] Received message:', message.type);
-    if (message.type === 'LOG') {
-        return false;
-    }
-    if (message.type === 'AUTH_SUCCESS') {
-        loadAuthToken();
-        return false;
+// silent: skip engagement tracking and dashboard notification (the dashboard sent it)
+// durationMinutes / until: pause for a while instead of until manually resumed
+async function handleSyncPause(paused, { silent = false, durationMinutes, until, automatic = false } = {}) {
+    await stateReady;
+    if (paused && await guardStrictMode('pause')) {
+        return { success: false, paused: false, error: 'Strict mode is active' };
     }
-    if (message.type === 'SYNC_AUTH') {
-        chrome.storage.local.set({
-            authToken: message.token,
-            userEmail: message.email,
-            authTokenExpiry: Date.now() + TOKEN_TTL_MS  // Token expires in 24 hours
-        }, () => {
-            loadAuthToken();
-        });
-        return false;
+    if (paused && managedPolicy.disablePause) {
+        return { success: false, paused: false, error: 'Pausing is disabled by your administrator' };
     }
-    if (message.type === 'LOGOUT') {
-        chrome.storage.local.remove(['authToken', 'userEmail', 'authTokenExpiry'], () => {
-            loadAuthToken();
-        });
-        return false;
+
+    let pausedUntil = null;
+    if (paused) {
+        try {
+            pausedUntil = getPauseEnd({ durationMinutes, until });
+        } catch (e) {
+            return { success: false, ...await getPauseState(), error: e.message };
+        }
     }
-    if (message.type === 'SYNC_THEME') {
-        chrome.storage.local.set({ theme: message.theme });
-        // Notify all other dashboard tabs and the extension popup
-        notifyDashboard('BEACON_THEME_UPDATED', { theme: message.theme });
-        return false;
+
+    await chrome.alarms.clear(PAUSE_RESUME_ALARM);
+    if (pausedUntil) {
+        await chrome.storage.local.set({ blockingPaused: true, pausedUntil });
+        chrome.alarms.create(PAUSE_RESUME_ALARM, { when: pausedUntil });
+    } else {
+        await chrome.storage.local.set({ blockingPaused: paused });
+        await chrome.storage.local.remove('pausedUntil');
     }
-    if (message.type === 'SYNC_PAUSE') {
-        debugLog('[BEACON] Sync pause received, paused:', message.paused, 'type:', typeof message.paused);
-        chrome.storage.local.set({ blockingPaused: message.paused }, () => {
-            // Verify storage was set correctly
-            chrome.storage.local.get('blockingPaused', (result) => {
-                debugLog('[BEACON] Storage verification - blockingPaused now:', result.blockingPaused);
-            });
-        });
+    await syncBlockRules();
+    debugLog('[BEACON] blockingPaused stored:', paused, pausedUntil ? `until ${new Date(pausedUntil).toLocaleTimeString()}` : '');
 
+    if (!silent) {
         // Track engagement event for weekly reports
-        sendEngagementEvent(message.paused ? 'pause' : 'unpause');
-
-        if (message.paused) {
-            // Clear cache when pausing so user gets fresh results on resume
-            handleClearLocalCache(() => {
-                debugLog('[BEACON] Cache cleared due to pause');
-            });
+        if (paused) {
+            sendEngagementEvent('pause', { duration_minutes: pausedUntil ? Math.round((pausedUntil - Date.now()) / 60000) : null });
+        } else {
+            sendEngagementEvent('unpause', automatic ? { automatic: true } : {});
         }
-        // Notify popup and other tabs
-        notifyDashboard('BEACON_PAUSE_UPDATED', { paused: message.paused });
-        return false;
     }
-    if (message.type === 'SYNC_ACTIVITY_LOG_SETTINGS') {
-        chrome.storage.local.set({
-            autoDeleteActivityLog: message.autoDelete,
-            activityLogRetention: message.retentionDays,
-            logAllowDecisions: message.logAllowDecisions,
-            logCachedDecisions: message.logCachedDecisions
-        }, () => {
-            debugLog('[SETTINGS] Activity log settings updated:', message.autoDelete, message.retentionDays, 'logAllows:', message.logAllowDecisions, 'logCached:', message.logCachedDecisions);
-            // Trigger immediate cleanup with new settings
-            getLocalBlockLog();
+
+    if (paused) {
+        // Clear cache when pausing so user gets fresh results on resume
+        await handleClearLocalCache(() => {
+            debugLog('[BEACON] Cache cleared due to pause');
         });
-        return false;
+    } else {
+        // Tabs opened while paused were never checked
+        reevaluateOpenTabs('resume');
     }
 
+    if (!silent) {
+        // Notify popup and other tabs
+        notifyDashboard('BEACON_PAUSE_UPDATED', { paused, pausedUntil });
+    }
+    return { success: true, paused, pausedUntil };
+}
 
-    if (!authToken) {
-        // If we receive a message but have no token, ignore or prompt login
-        // But don't block the message port if it's not relevant
-        if (message.type === 'PAGE_STATE_UPDATE') {
-            // Optionally open login here, but might be annoying
-        }
-        return false;
+async function getPauseState() {
+    const { blockingPaused, pausedUntil } = await chrome.storage.local.get(['blockingPaused', 'pausedUntil']);
+    return { paused: blockingPaused ?? false, pausedUntil: blockingPaused ? pausedUntil || null : null };
+}
+
+// Timed pause ran out. Also checked on startup in case the alarm fired while the browser was closed.
+async function resumeExpiredPause() {
+    const { blockingPaused, pausedUntil } = await chrome.storage.local.get(['blockingPaused', 'pausedUntil']);
+    if (!blockingPaused || !pausedUntil) return;
+    if (pausedUntil <= Date.now()) {
+        debugLog('[BEACON] Timed pause ended, resuming blocking');
+        await handleSyncPause(false, { automatic: true });
+    } else if (!await chrome.alarms.get(PAUSE_RESUME_ALARM)) {
+        chrome.alarms.create(PAUSE_RESUME_ALARM, { when: pausedUntil });
     }
-    if (message.type === 'PAGE_STATE_UPDATE') {
-        handlePageStateUpdate(message, sender);
-        return false;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === PAUSE_RESUME_ALARM) {
+        resumeExpiredPause();
+    }
+});
+
+// --- FOCUS SCHEDULE (recurring blocking windows) ---
+// focusSchedule: { enabled, windows: [{ days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM' }] }
+// Inside a window Beacon blocks; outside all windows it behaves as paused.
+// A window whose end is before its start runs past midnight into the next day.
+const SCHEDULE_KEY = 'focusSchedule';
+const SCHEDULE_STATE_KEY = 'scheduleState'; // { enabled, inWindow, nextChange } - read by the popup
+const SCHEDULE_ALARM = 'scheduleTransition';
+const MAX_SCHEDULE_WINDOWS = 20;
+
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+}
+
+function validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') return null;
+    const windows = (Array.isArray(schedule.windows) ? schedule.windows : [])
+        .map(slot => ({
+            days: [...new Set((slot.days || []).map(Number).filter(day => day >= 0 && day <= 6))].sort((a, b) => a - b),
+            start: slot.start,
+            end: slot.end
+        }))
+        .filter(slot => slot.days.length > 0 &&
+            parseTimeOfDay(slot.start) !== null &&
+            parseTimeOfDay(slot.end) !== null &&
+            slot.start !== slot.end)
+        .slice(0, MAX_SCHEDULE_WINDOWS);
+    return { enabled: schedule.enabled === true && windows.length > 0, windows };
+}
+
+function isWithinSchedule(schedule, date = new Date()) {
+    const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+
+    return schedule.windows.some(slot => {
+        const start = parseTimeOfDay(slot.start);
+        const end = parseTimeOfDay(slot.end);
+        if (start < end) {
+            return slot.days.includes(today) && minuteOfDay >= start && minuteOfDay < end;
+        }
+        // Overnight window: evening part belongs to the start day, early morning to the day after
+        return (slot.days.includes(today) && minuteOfDay >= start) ||
+            (slot.days.includes(yesterday) && minuteOfDay < end);
+    });
+}
+
+// Next time the in/out-of-window state flips (ms timestamp), or null if it never does
+function getNextScheduleChange(schedule, from = new Date()) {
+    const current = isWithinSchedule(schedule, from);
+    const candidates = [];
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+        for (const slot of schedule.windows) {
+            for (const minutes of [parseTimeOfDay(slot.start), parseTimeOfDay(slot.end)]) {
+                const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+                if (candidate > from) candidates.push(candidate);
+            }
+        }
+    }
+    candidates.sort((a, b) => a - b);
+    const next = candidates.find(candidate => isWithinSchedule(schedule, candidate) !== current);
+    return next ? next.getTime() : null;
+}
+
+// managed: the schedule comes from the administrator's policy
+// strictWindow / strictNextChange: the policy's forced strict mode hours
+async function getScheduleState() {
+    await stateReady;
+    const { [SCHEDULE_KEY]: stored } = await chrome.storage.local.get(SCHEDULE_KEY);
+    const schedule = managedPolicy.focusSchedule || validateSchedule(stored);
+    const strictSchedule = managedPolicy.strictModeSchedule;
+    const strict = {
+        managed: !!managedPolicy.focusSchedule,
+        strictWindow: isManagedStrictWindow(),
+        strictNextChange: strictSchedule ? getNextScheduleChange(strictSchedule) : null
+    };
+    if (!schedule?.enabled) {
+        return { enabled: false, inWindow: true, nextChange: null, ...strict };
+    }
+    return {
+        enabled: true,
+        inWindow: isWithinSchedule(schedule),
+        nextChange: getNextScheduleChange(schedule),
+        ...strict
+    };
+}
+
+// Recompute the schedule state, store it for the popup and arm the alarm for the next flip
+async function refreshSchedule() {
+    const state = await getScheduleState();
+    await chrome.storage.local.set({ [SCHEDULE_STATE_KEY]: state });
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+    const nextChange = [state.nextChange, state.strictNextChange].filter(Boolean).sort((a, b) => a - b)[0];
+    if (nextChange) {
+        chrome.alarms.create(SCHEDULE_ALARM, { when: nextChange });
+    }
+    debugLog('[SCHEDULE] In slot:', state.inWindow, 'next change:', state.nextChange && new Date(state.nextChange).toLocaleString());
+    return state;
+}
+
+async function syncSchedule(schedule) {
+    const validated = validateSchedule(schedule);
+    if (!validated) {
+        return { success: false, error: 'Invalid schedule' };
+    }
+    if (managedPolicy.focusSchedule) {
+        return { success: false, error: 'Schedule is managed by your administrator' };
+    }
+    if (await guardStrictMode('edit_schedule')) {
+        return { success: false, error: 'Strict mode is active' };
+    }
+
+    await chrome.storage.local.set({ [SCHEDULE_KEY]: validated });
+    const state = await refreshSchedule();
+    notifyDashboard('BEACON_SCHEDULE_UPDATED', { schedule: validated, state });
+    return { success: true, schedule: validated, state };
+}
+
+// Single source of truth for "should Beacon block right now?"
+// Strict mode always blocks; otherwise a manual pause or being outside the schedule pauses.
+async function isBlockingPaused() {
+    if (await isStrictModeActive()) return false;
+
+    const { blockingPaused, pausedUntil } = await chrome.storage.local.get(['blockingPaused', 'pausedUntil']);
+    // A timed pause counts as over even if its alarm hasn't fired yet
+    if (blockingPaused && !managedPolicy.disablePause && !(pausedUntil && pausedUntil <= Date.now())) return true;
+
+    const schedule = await getScheduleState();
+    return schedule.enabled && !schedule.inWindow;
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === SCHEDULE_ALARM) {
+        const state = await refreshSchedule();
+        notifyDashboard('BEACON_SCHEDULE_UPDATED', { state });
+        if ((state.enabled && state.inWindow) || state.strictWindow) {
+            reevaluateOpenTabs('schedule_start');
+        }
+    }
+});
+
+// --- MANAGED POLICY (chrome.storage.managed, see managed_schema.json) ---
+// Pushed by an administrator; the user can't change it and it overrides their own settings:
+// focusSchedule replaces the user's schedule, strict mode is forced on during strictModeSchedule,
+// blockList is blocked ahead of the user's allowlist and disablePause removes pausing.
+// Backend / dashboard URLs from the same policy are applied by config.js.
+const MANAGED_POLICY_KEY = 'managedPolicy'; // { locks, blockList } - read by the popup
+let managedPolicy = { focusSchedule: null, strictModeSchedule: null, blockList: [], disablePause: false };
+
+function validateManagedPolicy(policy) {
+    const source = policy && typeof policy === 'object' ? policy : {};
+    // Managed schedules are on unless the policy says otherwise
+    const asSchedule = (value) => {
+        if (!value || typeof value !== 'object') return null;
+        const schedule = validateSchedule({ ...value, enabled: value.enabled !== false });
+        return schedule.enabled ? schedule : null;
+    };
+    return {
+        focusSchedule: asSchedule(source.focusSchedule),
+        strictModeSchedule: asSchedule(source.strictModeSchedule),
+        blockList: normalizeSiteList(source.blockList),
+        disablePause: source.disablePause === true
+    };
+}
+
+// Names of the settings the user can't change, for the popup
+function getManagedLocks() {
+    const locks = [];
+    if (managedPolicy.focusSchedule) locks.push('schedule');
+    if (managedPolicy.strictModeSchedule) locks.push('strictMode');
+    if (managedPolicy.blockList.length > 0) locks.push('blockList');
+    if (managedPolicy.disablePause) locks.push('pause');
+    return [...locks, ...BEACON_CONFIG.MANAGED_KEYS];
+}
+
+function isManagedStrictWindow(date = new Date()) {
+    return !!managedPolicy.strictModeSchedule && isWithinSchedule(managedPolicy.strictModeSchedule, date);
+}
+
+async function loadManagedPolicy() {
+    await BEACON_CONFIG_READY;
+    managedPolicy = validateManagedPolicy(await readManagedConfig());
+    await chrome.storage.local.set({
+        [MANAGED_POLICY_KEY]: { locks: getManagedLocks(), blockList: managedPolicy.blockList }
+    });
+}
+
+// Bring the rest of the state in line with a freshly loaded policy
+async function applyManagedPolicy() {
+    // A pause from before the policy arrived doesn't survive it
+    const { blockingPaused } = await chrome.storage.local.get('blockingPaused');
+    if (managedPolicy.disablePause && blockingPaused) {
+        await handleSyncPause(false, { automatic: true });
+    }
+    await refreshSchedule();
+    debugLog('[POLICY] Managed policy locks:', getManagedLocks());
+}
+
+// --- RUNTIME CONFIG (developer panel in options.html, see config.js) ---
+// Saved through here rather than by the page itself: a new backend URL changes who decides (a dead
+// one means fail-open) and clears the decision cache, so it's refused during strict mode.
+// null resets to the built-in defaults.
+async function syncRuntimeConfig(config) {
+    if (await guardStrictMode('edit_runtime_config')) {
+        return { success: false, error: 'Strict mode is active' };
+    }
+    if (config === null) {
+        await chrome.storage.local.remove(RUNTIME_CONFIG_KEY);
+    } else {
+        await chrome.storage.local.set({ [RUNTIME_CONFIG_KEY]: validateRuntimeConfig(config) });
+    }
+    return { success: true };
+}
+
+// --- PRE-RENDER BLOCKING (declarativeNetRequest dynamic rules) ---
+// Pages already known to be blocked (blocklists and cached BLOCK decisions) are redirected by
+// dynamic rules before the request goes out, instead of after the page loaded and the content
+// script reported it. Rule priorities mirror getSiteListMatch(): system list > managed blocklist >
+// temporary allowance > user patterns by specificity (ties to block) > cached decisions.
+// The rules are rebuilt whenever the lists, cacheVersion, allowances or pause state change, and when
+// a cache write adds or removes a key that gets a rule (not on every lastAccess bump). Cached rules
+// are ordered by cache key so an unchanged set keeps its rule IDs.
+const BLOCK_RULES_ALARM = 'blockRulesRefresh';
+// Chrome allows 1000 regex rules per extension and rejects the whole update past that. The lists
+// get their rules in priority order (system, managed, allowances, user) up to this cap - pages past
+// it are still blocked after they load - and cached decisions only fill whatever room is left.
+const MAX_BLOCK_RULES = 900;
+const BLOCK_RULE_SYNC_DELAY_MS = 500;
+const BLOCK_RULE_PRIORITY = { system: 10000, managed: 9500, allowance: 9000, maxPattern: 8000, cachedPage: 2, cached: 1 };
+const PRERENDER_REOPEN_WINDOW_MS = 10000;
+const BLOCK_RULE_KEYS = [
+    ALLOW_LIST_KEY, BLOCK_LIST_KEY, 'cacheVersion', OVERRIDE_KEY,
+    'blockingPaused', 'pausedUntil', 'strictModeUntil', SCHEDULE_STATE_KEY, MANAGED_POLICY_KEY
+];
+let blockRuleSync = Promise.resolve();
+let blockRuleSyncTimer = null;
+let appliedBlockRules = null; // Serialized rule set last written - identical rebuilds are skipped
+let blockRulesRefreshAt = null;
+let cachedRuleSignature = null; // getCachedRuleSignature() of the cache the rules were last built from
+const prerenderReopens = new Map(); // tabId -> { url, at } - last stale redirect sent back to its page
+
+// Site list syntax ('example.com', '*.example.com', 'example.com/path') -> regex over the whole URL
+function sitePatternToRegex(pattern) {
+    const slashIndex = pattern.indexOf('/');
+    const hostPattern = slashIndex === -1 ? pattern : pattern.substring(0, slashIndex);
+    const pathPrefix = slashIndex === -1 ? '' : pattern.substring(slashIndex).replace(/\/+$/, '');
+    const host = hostPattern.startsWith('*.')
+        ? `([^/?#]+\\.)?${escapeRegExp(hostPattern.substring(2))}`
+        : `(www\\.)?${escapeRegExp(hostPattern)}`;
+    return `^https?://${host}(:[0-9]+)?${escapeRegExp(pathPrefix)}([/?].*)?$`;
+}
+
+// Cache / allowance key ('domain:<host>' or a normalizeUrl() result) -> regex over the whole URL
+function cacheKeyToRegex(key) {
+    if (key.startsWith('domain:')) return sitePatternToRegex(key.substring('domain:'.length));
+
+    const slashIndex = key.indexOf('/');
+    const host = `^https?://(www\\.)?${escapeRegExp(slashIndex === -1 ? key : key.substring(0, slashIndex))}(:[0-9]+)?`;
+    const path = slashIndex === -1 ? '' : key.substring(slashIndex);
+    const queryIndex = path.indexOf('?');
+    if (queryIndex !== -1) {
+        // YouTube watch pages keep their v= parameter, wherever it sits in the query
+        const query = escapeRegExp(path.substring(queryIndex + 1));
+        return `${host}${escapeRegExp(path.substring(0, queryIndex))}\\?(.*&)?${query}(&.*)?$`;
+    }
+    return `${host}${escapeRegExp(path)}/?(\\?.*)?$`;
+}
+
+// Host part of a normalizeUrl() cache key ('youtube.com/watch?v=x' -> 'youtube.com')
+function cacheKeyHost(key) {
+    return key.split(/[/?]/)[0];
+}
+
+// URL a cache key stands for, to check it against the site lists
+function cacheKeyToUrl(key) {
+    return key.startsWith('domain:') ? `https://${key.substring('domain:'.length)}/` : `https://${key}`;
+}
+
+// An allow pattern only needs a rule when it carves an exception out of a broader block pattern
+function overlapsBlockPattern(allowPattern, blockPatterns) {
+    let urlObj;
+    try {
+        urlObj = new URL(`https://${allowPattern.replace(/^\*\./, '')}`);
+    } catch (e) {
+        return false;
+    }
+    return blockPatterns.some(pattern => allowPattern.length > pattern.length && matchesSitePattern(urlObj, pattern));
+}
+
+// Cache entries that get a rule: live BLOCK decisions the site lists don't already decide, and
+// pages with their own non-BLOCK entry under one of those site-wide blocks - getCache() lets any
+// page entry shadow its site-wide one, so those pages must not be redirected either (prefetched
+// non-BLOCK hints excepted, see getCache()). Prefetched BLOCKs get a rule like any other; the page
+// check in confirmPrefetchedBlock() lifts it again if it disagrees.
+function getCachedRuleEntries(entries, cacheVersion) {
+    const now = Date.now();
+    const blocks = Object.entries(entries)
+        .filter(([key, entry]) => entry.decision === 'BLOCK' &&
+            !(entry.expiresAt && entry.expiresAt <= now) &&
+            !(cacheVersion && entry.cacheVersion !== cacheVersion) &&
+            !getSiteListMatch(cacheKeyToUrl(key)));
+    const blockKeys = new Set(blocks.map(([key]) => key));
+    const pages = Object.keys(entries)
+        .filter(key => !key.startsWith('domain:') && !blockKeys.has(key) &&
+            blockKeys.has(`domain:${cacheKeyHost(key)}`) && !entries[key].prefetched);
+    return { blocks, pages };
+}
+
+function getCachedRuleSignature({ blocks, pages }) {
+    return JSON.stringify([blocks.map(([key]) => key).sort(), [...pages].sort()]);
+}
+
+async function buildBlockRules() {
+    if (await isBlockingPaused()) return { rules: [], refreshAt: null };
+
+    const rules = [];
+    let refreshAt = null;
+    let dropped = 0;
+    const redirect = { type: 'redirect', redirect: { regexSubstitution: `${blockedPageUrl}?prerender=1&url=\\0` } };
+    const addRule = (regexFilter, priority, block, caseSensitive = false) => {
+        if (rules.length >= MAX_BLOCK_RULES) {
+            dropped++;
+            return false;
+        }
+        rules.push({
+            id: rules.length + 1,
+            priority,
+            action: block ? redirect : { type: 'allow' },
+            condition: { regexFilter, isUrlFilterCaseSensitive: caseSensitive, resourceTypes: ['main_frame'] }
+        });
+        return true;
+    };
+    const patternPriority = (pattern, block) => Math.min(BLOCK_RULE_PRIORITY.maxPattern, pattern.length * 2 + (block ? 1 : 0));
+
+    // Most important first, so the cap drops the least important rules. Allow rules only ever carve
+    // exceptions out of block rules, so they go ahead of the user blocklist: a dropped block rule
+    // lets a page load until it's checked, a dropped carve-out would redirect an allowed page.
+    for (const pattern of getSystemAllowList()) {
+        addRule(sitePatternToRegex(pattern), BLOCK_RULE_PRIORITY.system, false);
+    }
+    for (const pattern of managedPolicy.blockList) {
+        addRule(sitePatternToRegex(pattern), BLOCK_RULE_PRIORITY.managed, true);
+    }
+    const { [OVERRIDE_KEY]: allowances, cacheVersion } = await chrome.storage.local.get([OVERRIDE_KEY, 'cacheVersion']);
+    for (const [key, allowance] of Object.entries(allowances || {})) {
+        if (allowance.until <= Date.now()) continue;
+        if (addRule(cacheKeyToRegex(key), BLOCK_RULE_PRIORITY.allowance, false)) {
+            refreshAt = Math.min(refreshAt || Infinity, allowance.until);
+        }
+    }
+    for (const pattern of siteLists.allow) {
+        if (overlapsBlockPattern(pattern, siteLists.block)) {
+            addRule(sitePatternToRegex(pattern), patternPriority(pattern, false), false);
+        }
+    }
+    for (const pattern of siteLists.block) {
+        addRule(sitePatternToRegex(pattern), patternPriority(pattern, true), true);
+    }
+    if (dropped) {
+        console.warn(`[DNR] Over the ${MAX_BLOCK_RULES} rule cap: ${dropped} list patterns are only blocked after the page loads`);
+    }
+
+    // Cached BLOCK decisions take the room left under the cap, most recently used first. A site-wide
+    // block only goes in together with the allow rules for its pages. Added in cache key order.
+    const cache = await loadDecisionCache();
+    const cachedRules = getCachedRuleEntries(cache.entries, cacheVersion);
+    cachedRuleSignature = getCachedRuleSignature(cachedRules);
+    const pagesByDomain = new Map();
+    for (const key of cachedRules.pages) {
+        const domainKey = `domain:${cacheKeyHost(key)}`;
+        pagesByDomain.set(domainKey, [...(pagesByDomain.get(domainKey) || []), key]);
+    }
+    let room = MAX_BLOCK_RULES - rules.length;
+    const cachedBlocks = [];
+    const cachedPages = [];
+    for (const [key, entry] of cachedRules.blocks.sort(([, a], [, b]) => (b.lastAccess || 0) - (a.lastAccess || 0))) {
+        const pages = pagesByDomain.get(key) || [];
+        if (pages.length + 1 > room) continue;
+        room -= pages.length + 1;
+        cachedBlocks.push([key, entry]);
+        cachedPages.push(...pages);
+    }
+    for (const [key, entry] of cachedBlocks.sort(([a], [b]) => a.localeCompare(b))) {
+        addRule(cacheKeyToRegex(key), BLOCK_RULE_PRIORITY.cached, true, !key.startsWith('domain:'));
+        if (entry.expiresAt) refreshAt = Math.min(refreshAt || Infinity, entry.expiresAt);
+    }
+    for (const key of cachedPages.sort()) {
+        addRule(cacheKeyToRegex(key), BLOCK_RULE_PRIORITY.cachedPage, false, true);
+    }
+    return { rules, refreshAt };
+}
+
+// Serialized like updateActionState() so an older rule set can't overwrite a newer one
+function syncBlockRules() {
+    clearTimeout(blockRuleSyncTimer);
+    blockRuleSyncTimer = null;
+    blockRuleSync = blockRuleSync.then(async () => {
+        await stateReady; // Site lists and the managed blocklist
+        const { rules, refreshAt } = await buildBlockRules();
+        const serialized = JSON.stringify(rules);
+        if (serialized !== appliedBlockRules) {
+            const existing = await chrome.declarativeNetRequest.getDynamicRules();
+            await chrome.declarativeNetRequest.updateDynamicRules({
+                removeRuleIds: existing.map(rule => rule.id),
+                addRules: rules
+            });
+            appliedBlockRules = serialized;
+            debugLog('[DNR] Applied', rules.length, 'pre-render rules');
+        }
+        // Rebuild when the first cached decision or allowance runs out
+        if (refreshAt !== blockRulesRefreshAt) {
+            blockRulesRefreshAt = refreshAt;
+            await chrome.alarms.clear(BLOCK_RULES_ALARM);
+            if (refreshAt) chrome.alarms.create(BLOCK_RULES_ALARM, { when: refreshAt });
+        }
+    }).catch((e) => console.warn('[DNR] Rule sync failed:', e.message));
+    return blockRuleSync;
+}
+
+function scheduleBlockRuleSync() {
+    if (blockRuleSyncTimer) return;
+    blockRuleSyncTimer = setTimeout(syncBlockRules, BLOCK_RULE_SYNC_DELAY_MS);
+}
+
+// Every cache hit rewrites the cache (lastAccess, stats) - only rebuild when a rule's key comes or goes
+async function syncBlockRulesIfCacheChanged(cache) {
+    const { cacheVersion } = await chrome.storage.local.get('cacheVersion');
+    if (getCachedRuleSignature(getCachedRuleEntries(cache?.entries || {}, cacheVersion)) !== cachedRuleSignature) {
+        scheduleBlockRuleSync();
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === BLOCK_RULES_ALARM) {
+        blockRulesRefreshAt = null;
+        syncBlockRules();
+    }
+});
+
+// A redirect rule blocked this tab without going through blockPage() - log it and fill in the
+// block context once blocked.html asks. A stale rule (decision no longer BLOCK) sends the tab back.
+async function recordPrerenderBlock(tabId, url) {
+    if (!tabId || !url || blockContexts.get(tabId)?.url === url) return;
+    await stateReady; // getSiteListMatch() below reads the site lists
+
+    // url comes from blocked.html's query string, which any page can open - only a web page
+    // may be reopened or logged
+    let domain;
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return;
+        domain = parsed.hostname.replace('www.', '');
+    } catch (e) {
+        return;
+    }
+
+    let context;
+    const listMatch = getSiteListMatch(url);
+    if (listMatch?.list === 'block') {
+        const { reason, logReason, managed } = getBlocklistReasons(listMatch.pattern);
+        context = { reason, logReason, activePrompt: null, pageTitle: '', cached: false, managed };
+    } else {
+        const cached = await getCache(url);
+        if (cached?.decision !== 'BLOCK' || await getActiveAllowance(url)) {
+            // Reopen once - if the rebuilt rules still redirect it, stay on blocked.html rather
+            // than bounce between the two forever
+            const lastReopen = prerenderReopens.get(tabId);
+            if (lastReopen?.url === url && Date.now() - lastReopen.at < PRERENDER_REOPEN_WINDOW_MS) {
+                console.warn('[DNR] Pre-render rule still disagrees with the cache, not reopening:', url);
+                return;
+            }
+            debugLog('[DNR] Stale pre-render rule, reopening:', url);
+            prerenderReopens.set(tabId, { url, at: Date.now() });
+            await syncBlockRules();
+            await chrome.tabs.update(tabId, { url });
+            return;
+        }
+        context = {
+            reason: cached.reason || null,
+            logReason: cached.reason ? `Cached decision · ${cached.reason}` : 'Cached decision',
+            activePrompt: cached.activePrompt || null,
+            pageTitle: cached.title || '',
+            cached: true,
+            prefetched: !!cached.prefetched
+        };
+    }
+
+    prerenderReopens.delete(tabId);
+    tabState[tabId] = { ...(tabState[tabId] || {}), blockedUrl: url };
+    blockContexts.set(tabId, {
+        url,
+        domain,
+        reason: context.reason,
+        activePrompt: context.activePrompt,
+        pageTitle: context.pageTitle,
+        cached: context.cached,
+        managed: !!context.managed,
+        timeBudget: null,
+        timestamp: Date.now()
+    });
+    addToLocalBlockLog({
+        decision: 'BLOCK',
+        url: url,
+        domain: domain,
+        reason: context.logReason,
+        pageTitle: context.pageTitle,
+        activePrompt: context.activePrompt
+    });
+    await incrementDailyBlockCount();
+    if (context.prefetched) confirmPrefetchedBlock(tabId, url, context.pageTitle);
+}
+
+// --- 2. AUTHENTICATION (JWT) ---
+// With a refresh token the access token's own exp claim drives expiry and we renew it shortly
+// before it runs out. Without one nothing can renew it, so the session keeps the fixed
+// TOKEN_TTL_MS lifetime. When the session really is gone the toolbar badge tells the user.
+let authToken = null;
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // Lifetime of sessions that can't be refreshed
+const AUTH_REFRESH_ALARM = 'authRefresh';
+const AUTH_REFRESH_LEAD_MS = 5 * 60 * 1000; // Refresh 5 minutes before expiry
+const AUTH_REFRESH_RETRY_MS = 60 * 1000; // Retry after network failures
+const AUTH_SESSION_LOST_KEY = 'authSessionLost'; // { at, reason } - read by the popup
+const AUTH_RECHECK_WINDOW_MS = 60 * 1000;
+let refreshInFlight = null;
+const authRechecks = new Map(); // tabId -> { url, at } - last page re-checked after a token refresh
+
+// Store a new session (from the dashboard or a refresh) and arm the refresh alarm
+async function storeAuthSession({ token, refreshToken, email }) {
+    const { authRefreshToken } = await chrome.storage.local.get('authRefreshToken');
+    const items = {
+        authToken: token,
+        authTokenExpiry: getSessionExpiry(token, !!(refreshToken || authRefreshToken))
+    };
+    if (refreshToken) items.authRefreshToken = refreshToken;
+    if (email) items.userEmail = email;
+    await chrome.storage.local.set(items);
+    await chrome.storage.local.remove(AUTH_SESSION_LOST_KEY);
+    authToken = token;
+    await scheduleAuthRefresh(items.authTokenExpiry);
+}
+
+// The exp claim (~1h) only counts when a refresh token can renew the session
+function getSessionExpiry(token, canRefresh) {
+    return (canRefresh && getTokenExpiry(token)) || Date.now() + TOKEN_TTL_MS;
+}
+
+async function scheduleAuthRefresh(expiry) {
+    await chrome.alarms.clear(AUTH_REFRESH_ALARM);
+    const { authRefreshToken } = await chrome.storage.local.get('authRefreshToken');
+    if (!authRefreshToken || !expiry) return;
+    chrome.alarms.create(AUTH_REFRESH_ALARM, { when: Math.max(expiry - AUTH_REFRESH_LEAD_MS, Date.now() + 1000) });
+}
+
+// Exchange the refresh token for a new access token. Returns true on success.
+// Concurrent callers (alarm, 401 from /check-url) share one request.
+function refreshAuthToken() {
+    if (!refreshInFlight) {
+        refreshInFlight = doRefreshAuthToken().finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+}
+
+async function doRefreshAuthToken() {
+    const { authRefreshToken, authTokenExpiry } = await chrome.storage.local.get(['authRefreshToken', 'authTokenExpiry']);
+    if (!authRefreshToken) {
+        await handleSessionLost('expired');
+        return false;
+    }
+
+    let response;
+    try {
+        response = await fetchWithTimeout(BEACON_CONFIG.AUTH_REFRESH_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: authRefreshToken })
+        });
+    } catch (error) {
+        // Offline or backend down - keep the session while the token is still valid and try again shortly
+        debugLog('[AUTH] Refresh failed, will retry:', error.message);
+        if (authTokenExpiry && Date.now() >= authTokenExpiry) {
+            authToken = null;
+        }
+        chrome.alarms.create(AUTH_REFRESH_ALARM, { when: Date.now() + AUTH_REFRESH_RETRY_MS });
+        return false;
+    }
+
+    if (!response.ok) {
+        if (response.status >= 500) {
+            chrome.alarms.create(AUTH_REFRESH_ALARM, { when: Date.now() + AUTH_REFRESH_RETRY_MS });
+            return false;
+        }
+        // Refresh token revoked or expired
+        await handleSessionLost('refresh_rejected');
+        return false;
+    }
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch (e) {
+        debugLog('[AUTH] Refresh response is not JSON:', e.message);
+    }
+    const token = data?.access_token || data?.token;
+    if (!token) {
+        await handleSessionLost('refresh_rejected');
+        return false;
+    }
+    await storeAuthSession({ token, refreshToken: data.refresh_token || data.refreshToken });
+    debugLog('[AUTH] Token refreshed, expires', new Date(getSessionExpiry(token, true)).toLocaleString());
+    return true;
+}
+
+// The session can't be recovered: drop the tokens and tell the user instead of silently not blocking
+async function handleSessionLost(reason) {
+    debugLog('[AUTH] Session lost:', reason);
+    authToken = null;
+    await chrome.alarms.clear(AUTH_REFRESH_ALARM);
+    await chrome.storage.local.remove(['authToken', 'authTokenExpiry', 'authRefreshToken']);
+    // The toolbar badge picks this up via storage.onChanged
+    await chrome.storage.local.set({ [AUTH_SESSION_LOST_KEY]: { at: Date.now(), reason } });
+    notifyDashboard('BEACON_AUTH_EXPIRED', { reason });
+}
+
+async function loadAuthToken() {
+    try {
+        const items = await chrome.storage.local.get(['authToken', 'authTokenExpiry', 'authRefreshToken']);
+
+        // Refreshable sessions follow the token's own exp claim (older versions stored a fixed
+        // now + 24h); the rest keep the stored lifetime
+        const expiry = !items.authToken ? null
+            : items.authRefreshToken ? (getTokenExpiry(items.authToken) || items.authTokenExpiry)
+                : items.authTokenExpiry;
+
+        // Expired (e.g. the browser was closed past expiry) - try to refresh before giving up
+        if (items.authToken && expiry && Date.now() > expiry) {
+            debugLog('[AUTH] Token expired, refreshing');
+            authToken = null;
+            await refreshAuthToken();
+            return;
+        }
+
+        authToken = items.authToken;
+        if (!authToken) {
+            // Do NOT auto-open login. It's annoying.
+            return;
+        }
+        await scheduleAuthRefresh(expiry);
+    } catch (error) { console.error("Error loading auth token:", error); }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === AUTH_REFRESH_ALARM) {
+        refreshAuthToken();
+    }
+});
+
+// --- TOOLBAR BADGE ---
+// The action badge mirrors the popup's status so problems are visible without opening it.
+// Highest priority wins: signed out > subscription/backend error > strict mode > paused > active.
+const DAILY_BLOCK_COUNT_KEY = 'dailyBlockCount'; // { date, count }
+const SUBSCRIPTION_STATUS_KEY = 'subscriptionRequired'; // { since } while /check-url answers 402
+const SHOW_BLOCK_COUNT_KEY = 'showBlockCountBadge'; // Popup toggle, off by default
+const ACTION_STATE_KEYS = [
+    'authToken', AUTH_SESSION_LOST_KEY, CLASSIFIER_SETTINGS_KEY, 'blockingPaused', 'pausedUntil', 'strictModeUntil', SCHEDULE_STATE_KEY,
+    'backendStatus', SUBSCRIPTION_STATUS_KEY, DAILY_BLOCK_COUNT_KEY, SHOW_BLOCK_COUNT_KEY, MANAGED_POLICY_KEY
+];
+let actionStateUpdate = Promise.resolve();
+
+async function incrementDailyBlockCount() {
+    const today = getLocalDateKey();
+    const { [DAILY_BLOCK_COUNT_KEY]: stored } = await chrome.storage.local.get(DAILY_BLOCK_COUNT_KEY);
+    const count = stored?.date === today ? stored.count + 1 : 1;
+    await chrome.storage.local.set({ [DAILY_BLOCK_COUNT_KEY]: { date: today, count } });
+}
+
+async function setSubscriptionRequired(required) {
+    const { [SUBSCRIPTION_STATUS_KEY]: current } = await chrome.storage.local.get(SUBSCRIPTION_STATUS_KEY);
+    if (required && !current) {
+        await chrome.storage.local.set({ [SUBSCRIPTION_STATUS_KEY]: { since: Date.now() } });
+    } else if (!required && current) {
+        await chrome.storage.local.remove(SUBSCRIPTION_STATUS_KEY);
+    }
+}
+
+async function getActionState() {
+    await stateReady; // isBlockingPaused() below needs the managed policy
+    const items = await chrome.storage.local.get(ACTION_STATE_KEYS);
+
+    const usesLocalClassifier = !!items[CLASSIFIER_SETTINGS_KEY] && items[CLASSIFIER_SETTINGS_KEY].provider !== 'beacon';
+    if (!items.authToken && !usesLocalClassifier) {
+        return items[AUTH_SESSION_LOST_KEY]
+            ? { text: '!', color: '#ef4444', title: 'Session expired - sign in again to keep blocking' }
+            : { text: 'OFF', color: '#6b7280', title: 'Signed out - not blocking' };
+    }
+    if (items[SUBSCRIPTION_STATUS_KEY]) {
+        return { text: '!', color: '#f97316', title: 'Subscription required - pages are not being checked' };
+    }
+    if (items.backendStatus?.degraded) {
+        return { text: '!', color: '#f97316', title: 'Backend unreachable - using your offline policy' };
+    }
+    if (items.strictModeUntil && items.strictModeUntil > Date.now()) {
+        return { text: 'LOCK', color: '#7c3aed', title: 'Strict mode' };
+    }
+    if (items[SCHEDULE_STATE_KEY]?.strictWindow) {
+        return { text: 'LOCK', color: '#7c3aed', title: 'Strict mode (set by your administrator)' };
+    }
+    // Not the raw blockingPaused flag: a pause the managed policy disables or that ran out doesn't count
+    if (await isBlockingPaused()) {
+        if (items[SCHEDULE_STATE_KEY]?.enabled && !items[SCHEDULE_STATE_KEY].inWindow) {
+            return { text: '||', color: '#f59e0b', title: 'Blocking paused (outside your schedule)' };
+        }
+        const untilLabel = items.pausedUntil
+            ? ` until ${new Date(items.pausedUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+            : '';
+        return { text: '||', color: '#f59e0b', title: `Blocking paused${untilLabel}` };
+    }
+
+    const blocksToday = items[DAILY_BLOCK_COUNT_KEY]?.date === getLocalDateKey() ? items[DAILY_BLOCK_COUNT_KEY].count : 0;
+    const title = `Active - ${blocksToday} page${blocksToday === 1 ? '' : 's'} blocked today`;
+    if (items[SHOW_BLOCK_COUNT_KEY] && blocksToday > 0) {
+        return { text: blocksToday > 999 ? '999+' : String(blocksToday), color: '#3b82f6', title };
+    }
+    return { text: '', color: '#22c55e', title };
+}
+
+// Serialized so an older, slower update can't overwrite a newer state
+function updateActionState() {
+    actionStateUpdate = actionStateUpdate.then(async () => {
+        const state = await getActionState();
+        await chrome.action.setBadgeText({ text: state.text });
+        await chrome.action.setBadgeBackgroundColor({ color: state.color });
+        await chrome.action.setTitle({ title: `${chrome.runtime.getManifest().name}: ${state.title}` });
+    }).catch((e) => console.warn('[BADGE] Update failed:', e.message));
+    return actionStateUpdate;
+}
+
+function openLogin() {
+    // Deprecated: login.html
+    // Redirect to Dashboard instead
+    chrome.tabs.create({ url: BEACON_CONFIG.DASHBOARD_URL });
+}
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes.authToken) {
+        authToken = changes.authToken.newValue;
+    }
+    if (namespace === 'local' && (changes[ALLOW_LIST_KEY] || changes[BLOCK_LIST_KEY])) {
+        loadSiteLists();
+    }
+    if (namespace === 'local' && changes[TIME_BUDGETS_KEY]) {
+        loadTimeBudgets();
+    }
+    if (namespace === 'local' && changes[CLASSIFIER_SETTINGS_KEY]) {
+        loadClassifierSettings();
+    }
+    if (namespace === 'local' && changes[PREFETCH_SETTINGS_KEY]) {
+        loadPrefetchSettings();
+    }
+    if (namespace === 'local' && ACTION_STATE_KEYS.some(key => changes[key])) {
+        updateActionState();
+    }
+    if (namespace === 'local' && BLOCK_RULE_KEYS.some(key => changes[key])) {
+        scheduleBlockRuleSync();
+    } else if (namespace === 'local' && changes[DECISION_CACHE_KEY]) {
+        syncBlockRulesIfCacheChanged(changes[DECISION_CACHE_KEY].newValue);
+    }
+    // config.js reloads BEACON_CONFIG first; decisions from the old backend no longer apply
+    if (namespace === 'local' && changes[RUNTIME_CONFIG_KEY]) {
+        BEACON_CONFIG_READY.then(async () => {
+            await clearDecisionCache();
+            syncBlockRules(); // The configured dashboard may have changed
+        });
+    }
+    if (namespace === 'managed') {
+        BEACON_CONFIG_READY.then(async () => {
+            await clearDecisionCache();
+            await loadManagedPolicy();
+            await applyManagedPolicy();
+            reevaluateOpenTabs('managed_policy');
+        });
+    }
+});
+
+// In-memory state the handlers read (auth, site lists, classifier, managed policy). An event that
+// wakes the worker reaches its listener before this has loaded, so handlers await stateReady
+// rather than trust the empty defaults - otherwise the managed policy could be bypassed.
+// Nothing in here may await stateReady itself.
+async function loadState() {
+    await BEACON_CONFIG_READY;
+    await loadAuthToken();
+    await loadSiteLists();
+    await loadTimeBudgets();
+    await loadClassifierSettings();
+    await loadPrefetchSettings();
+    await loadManagedPolicy();
+}
+
+let stateLoaded = false;
+const stateReady = loadState()
+    .catch(error => console.error('Error loading state:', error))
+    .then(() => { stateLoaded = true; });
+
+async function initialize() {
+    await stateReady;
+    await applyManagedPolicy(); // Also refreshes the schedule
+    await resumeExpiredPause();
+    await updateActionState();
+    await syncBlockRules();
+}
+initialize();
+
+// --- KEYBOARD SHORTCUTS (chrome.commands, see manifest "commands") ---
+const FOCUS_SPRINT_MINUTES = 25;
+
+async function getActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    return tab || null;
+}
+
+// The page behind blocked.html, or the tab's own URL
+function getOriginalTabUrl(tab) {
+    if (tab.url && tab.url.startsWith(blockedPageUrl)) {
+        return blockContexts.get(tab.id)?.url || new URL(tab.url).searchParams.get('url');
+    }
+    return tab.url;
+}
+
+// Drop the cached decision for the current tab and ask the backend again
+async function recheckCurrentTab() {
+    const tab = await getActiveTab();
+    const url = tab && getOriginalTabUrl(tab);
+    if (!url || !/^https?:/.test(url)) return;
+
+    await invalidateCachedDecision(url);
+    debugLog('[COMMAND] Re-checking current tab without cache:', url);
+    if (tab.url.startsWith(blockedPageUrl)) {
+        // Navigating back runs the normal loading-path check
+        tabState[tab.id] = { lastProcessedUrl: null, lastProcessedTitle: null, hasBeenChecked: false };
+        recentlyProcessed.delete(normalizeUrl(url));
+        await chrome.tabs.update(tab.id, { url });
+    } else {
+        recheckTab(tab.id, url);
+    }
+}
+
+// Open the dashboard at the block behind the current tab, or at the newest log entry
+async function openLatestLogEntry() {
+    const tab = await getActiveTab();
+    const logs = await getLocalBlockLog();
+    const blockedUrl = tab?.url?.startsWith(blockedPageUrl) ? getOriginalTabUrl(tab) : null;
+    const entry = (blockedUrl && logs.find(log => log.url === blockedUrl && (log.decision || 'BLOCK') === 'BLOCK')) || logs[0];
+    const url = entry
+        ? `${BEACON_CONFIG.DASHBOARD_URL}?logEntry=${entry.timestamp}`
+        : BEACON_CONFIG.DASHBOARD_URL;
+    chrome.tabs.create({ url });
+}
+
+chrome.commands.onCommand.addListener(async (command) => {
+    debugLog('[COMMAND] Received:', command);
+    await stateReady;
+    switch (command) {
+        case 'toggle-pause': {
+            // Same gates as the popup's pause button: usable classifier, no strict mode, not disabled by policy
+            if (!canClassify() || managedPolicy.disablePause || await isStrictModeActive()) return;
+            const { blockingPaused } = await chrome.storage.local.get('blockingPaused');
+            await handleSyncPause(!blockingPaused);
+            break;
+        }
+        case 'start-focus-sprint':
+            await startStrictMode(FOCUS_SPRINT_MINUTES);
+            break;
+        case 'recheck-current-tab':
+            if (!canClassify()) return;
+            await recheckCurrentTab();
+            break;
+        case 'open-latest-log':
+            await openLatestLogEntry();
+            break;
+    }
+});
+
+// Messages that wake the worker wait for stateReady. A deferred handler that doesn't answer
+// gets an empty response so the sender's callback still runs.
+function whenStateLoaded(handler) {
+    return (message, sender, sendResponse) => {
+        if (stateLoaded) return handler(message, sender, sendResponse);
+        stateReady.then(() => {
+            if (!handler(message, sender, sendResponse)) sendResponse();
+        });
+        return true;
+    };
+}
+
+// --- 3. CORE MESSAGE LISTENER ---
+// Listen for messages from content scripts or popup
+chrome.runtime.onMessage.addListener(whenStateLoaded((message, sender, sendResponse) => {
+    debugLog('[BEACON BG] Received message:', message.type);
+    if (message.type === 'LOG') {
+        return false;
+    }
+    if (message.type === 'AUTH_SUCCESS') {
+        loadAuthToken();
+        return false;
+    }
+    if (message.type === 'SYNC_AUTH') {
+        storeAuthSession({ token: message.token, refreshToken: message.refreshToken, email: message.email });
+        return false;
+    }
+    if (message.type === 'LOGOUT') {
+        guardStrictMode('logout').then((refused) => {
+            if (refused) {
+                sendResponse({ success: false, error: 'Strict mode is active' });
+                return;
+            }
+            chrome.alarms.clear(AUTH_REFRESH_ALARM);
+            chrome.storage.local.remove(['authToken', 'userEmail', 'authTokenExpiry', 'authRefreshToken', AUTH_SESSION_LOST_KEY], () => {
+                loadAuthToken();
+                sendResponse({ success: true });
+            });
+        });
+        return true;
+    }
+    if (message.type === 'SYNC_THEME') {
+        chrome.storage.local.set({ theme: message.theme });
+        // Notify all other dashboard tabs and the extension popup
+        notifyDashboard('BEACON_THEME_UPDATED', { theme: message.theme });
+        return false;
+    }
+    if (message.type === 'SYNC_PAUSE') {
+        debugLog('[BEACON] Sync pause received, paused:', message.paused, 'type:', typeof message.paused);
+        handleSyncPause(message.paused, { durationMinutes: message.durationMinutes, until: message.until }).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'START_STRICT_MODE') {
+        startStrictMode(message.durationMinutes, message.goal).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'GET_STRICT_MODE_STATE') {
+        getStrictModeState().then(sendResponse);
+        return true;
+    }
+    // --- BLOCK CONTEXT (blocked.html asks why its tab was blocked) ---
+    if (message.type === 'GET_BLOCK_CONTEXT') {
+        handleBlockLogMessage({ ...message, tabId: sender.tab?.id }, sendResponse);
+        return true;
+    }
+    // --- TEMPORARY OVERRIDE ("Continue anyway" from blocked.html) ---
+    if (message.type === 'GRANT_OVERRIDE') {
+        guardStrictMode('override').then((refused) => {
+            if (refused) return { success: false, error: 'Strict mode is active' };
+            return grantTemporaryAllowance(message);
+        }).then((result) => {
+            if (result.success && sender.tab?.id) {
+                blockContexts.delete(sender.tab.id);
+            }
+            sendResponse(result);
+        });
+        return true;
+    }
+    // Settings backup and the classifier are only configurable from the extension's own pages
+    if (['EXPORT_SETTINGS', 'IMPORT_SETTINGS', 'SYNC_CLASSIFIER_SETTINGS', 'GET_CLASSIFIER_SETTINGS', 'SYNC_RUNTIME_CONFIG'].includes(message.type) &&
+        !sender.url?.startsWith(chrome.runtime.getURL(''))) {
+        sendResponse({ success: false, error: 'Not allowed' });
+        return false;
+    }
+    if (message.type === 'SYNC_RUNTIME_CONFIG') {
+        syncRuntimeConfig(message.config ?? null).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'SYNC_CLASSIFIER_SETTINGS') {
+        syncClassifierSettings(message.settings).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'GET_CLASSIFIER_SETTINGS') {
+        // The API key never leaves the background
+        sendResponse({ success: true, settings: { ...classifierSettings, apiKey: classifierSettings.apiKey ? '••••' : null } });
+        return false;
+    }
+    if (message.type === 'EXPORT_SETTINGS') {
+        exportSettings({ includeAuth: message.includeAuth === true }).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'IMPORT_SETTINGS') {
+        importSettings(message.content, { includeAuth: message.includeAuth === true }).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'SYNC_ACTIVITY_LOG_SETTINGS') {
+        chrome.storage.local.set({
+            autoDeleteActivityLog: message.autoDelete,
+            activityLogRetention: message.retentionDays,
+            logAllowDecisions: message.logAllowDecisions,
+            logCachedDecisions: message.logCachedDecisions
+        }, () => {
+            debugLog('[SETTINGS] Activity log settings updated:', message.autoDelete, message.retentionDays, 'logAllows:', message.logAllowDecisions, 'logCached:', message.logCachedDecisions);
+            // Trigger immediate cleanup with new settings
+            getLocalBlockLog();
+        });
+        return false;
+    }
+
+
+    // Everything below works on local data, so it needs a way to classify pages - a Beacon
+    // session or a self-hosted classifier - not the Beacon backend itself. Prefetching checks
+    // for the backend on its own.
+    if (!canClassify()) {
+        // Don't block the message port if it's not relevant
+        return false;
+    }
+    if (message.type === 'PAGE_STATE_UPDATE') {
+        handlePageStateUpdate(message, sender);
+        return false;
+    }
+    if (message.type === 'PREFETCH_LINKS') {
+        queuePrefetch(message.links);
+        return false;
     }
     if (message.type === 'CLEAR_LOCAL_CACHE') {
-        handleClearLocalCache(sendResponse);
+        guardStrictMode('clear_cache').then((refused) => {
+            if (refused) {
+                sendResponse({ success: false, error: 'Strict mode is active' });
+                return;
+            }
+            handleClearLocalCache(sendResponse);
+        });
+        return true;
+    }
+    if (message.type === 'RULES_UPDATED') {
+        // Wipes the decision cache like CLEAR_LOCAL_CACHE, so strict mode refuses it the same way -
+        // a bumped cacheVersion from /check-url still invalidates the cache meanwhile
+        guardStrictMode('rules_updated').then((refused) => {
+            if (refused) {
+                sendResponse({ success: false, error: 'Strict mode is active' });
+                return;
+            }
+            handleClearLocalCache(async (result) => {
+                if (result.success) await reevaluateOpenTabs('rules_updated');
+                sendResponse(result);
+            });
+        });
+        return true;
+    }
+
+    // --- BLOCK LOG HANDLERS (shared with onMessageExternal) ---
+    if (['GET_BLOCK_LOG', 'CLEAR_BLOCK_LOG', 'DELETE_SINGLE_LOG', 'GET_ACTIVITY_SUMMARY', 'EXPORT_BLOCK_LOG', 'IMPORT_BLOCK_LOG'].includes(message.type)) {
+        handleBlockLogMessage(message, sendResponse);
+        return true;
+    }
+
+    // --- PAUSE STATE HANDLER (Dashboard reads current pause state) ---
+    if (message.type === 'GET_PAUSE_STATE') {
+        getPauseState().then(sendResponse);
+        return true; // Will respond asynchronously
+    }
+
+    // --- SITE LISTS (Dashboard edits allowlist / blocklist) ---
+    if (message.type === 'SYNC_SITE_LISTS') {
+        syncSiteLists(message.allowList, message.blockList).then(sendResponse);
+        return true;
+    }
+    // --- DAILY TIME BUDGETS (Dashboard edits budgets and reads usage) ---
+    if (message.type === 'SYNC_TIME_BUDGETS') {
+        syncTimeBudgets(message.budgets).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'GET_TIME_USAGE') {
+        getTimeUsageReport().then(sendResponse);
+        return true;
+    }
+
+    // --- SHORTS LIMITS (Dashboard edits caps and reads today's totals) ---
+    if (message.type === 'SYNC_SHORTS_LIMITS') {
+        syncShortsLimits(message.limits).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'GET_SHORTS_STATS') {
+        Promise.all([getShortsLimits(), getTodayShortsStats()]).then(([limits, stats]) => {
+            sendResponse({ success: true, limits, stats });
+        });
+        return true;
+    }
+
+    // --- BACKEND FAILURE POLICY (Dashboard settings) ---
+    if (message.type === 'SYNC_FAILURE_POLICY') {
+        syncFailurePolicy(message.policy, message.keywordRules).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'GET_FAILURE_POLICY') {
+        chrome.storage.local.get(['backendFailurePolicy', 'localKeywordRules', 'backendStatus'], (result) => {
+            sendResponse({
+                success: true,
+                policy: result.backendFailurePolicy || DEFAULT_FAILURE_POLICY,
+                keywordRules: result.localKeywordRules || [],
+                backendStatus: result.backendStatus || { degraded: false }
+            });
+        });
+        return true;
+    }
+
+    // --- LINK PREFETCH (Dashboard settings: batch size, concurrency, daily quota) ---
+    if (message.type === 'SYNC_PREFETCH_SETTINGS') {
+        syncPrefetchSettings(message.settings).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'GET_PREFETCH_SETTINGS') {
+        getPrefetchUsage().then((usage) => {
+            sendResponse({ success: true, settings: prefetchSettings, usage });
+        });
         return true;
     }
 
-    // --- BLOCK LOG HANDLERS (shared with onMessageExternal) ---
-    if (['GET_BLOCK_LOG', 'CLEAR_BLOCK_LOG', 'DELETE_SINGLE_LOG'].includes(message.type)) {
-        handleBlockLogMessage(message, sendResponse);
+    // --- FOCUS SCHEDULE (Dashboard edits recurring blocking windows) ---
+    if (message.type === 'SYNC_SCHEDULE') {
+        syncSchedule(message.schedule).then(sendResponse);
         return true;
     }
-
-    // --- PAUSE STATE HANDLER (Dashboard reads current pause state) ---
-    if (message.type === 'GET_PAUSE_STATE') {
-        chrome.storage.local.get('blockingPaused', (result) => {
-            sendResponse({ paused: result.blockingPaused ?? false });
+    if (message.type === 'GET_SCHEDULE') {
+        chrome.storage.local.get(SCHEDULE_KEY, async (result) => {
+            const state = await getScheduleState();
+            sendResponse({ success: true, schedule: validateSchedule(result[SCHEDULE_KEY]) || { enabled: false, windows: [] }, state });
         });
-        return true; // Will respond asynchronously
+        return true;
+    }
+    if (message.type === 'GET_SITE_LISTS') {
+        sendResponse({
+            success: true,
+            allowList: siteLists.allow,
+            blockList: siteLists.block,
+            managedBlockList: managedPolicy.blockList,
+            systemList: getSystemAllowList()
+        });
+        return false;
+    }
+
+    // --- DECISION CACHE STATS (for Dashboard Settings) ---
+    if (message.type === 'GET_CACHE_STATS') {
+        getCacheStats().then(sendResponse);
+        return true;
     }
 
     // --- STORAGE USAGE HANDLER (for Dashboard Settings) ---
@@ -647,19 +3291,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 
     return false;
-});
+}));
 
 // --- EXTERNAL MESSAGE LISTENER (for Dashboard) ---
 // Allows dashboard web page to request block logs from extension
-chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+chrome.runtime.onMessageExternal.addListener(whenStateLoaded((message, sender, sendResponse) => {
     // --- SECURITY: Validate sender origin ---
     // Prevents malicious websites from controlling the extension
-    const TRUSTED_ORIGINS = [
-        'https://dashboard.beaconblocker.com',
-        'https://beaconblocker.vercel.app',
-        'https://chrome-test-dashboard.vercel.app',
-        ...(typeof IS_DEV !== 'undefined' && IS_DEV ? ['http://localhost:5173', 'http://localhost:3001'] : [])
-    ];
+    // (BEACON_CONFIG.TRUSTED_ORIGINS - built-in list or the runtime config from config.js)
 
     let senderOrigin = null;
     try {
@@ -668,14 +3307,14 @@ chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) =>
         // Invalid URL
     }
 
-    if (!senderOrigin || !TRUSTED_ORIGINS.includes(senderOrigin)) {
+    if (!senderOrigin || !BEACON_CONFIG.TRUSTED_ORIGINS.includes(senderOrigin)) {
         console.warn('[SECURITY] Blocked external message from:', sender.url);
         sendResponse({ success: false, error: 'Unauthorized origin' });
         return false;
     }
 
     // --- BLOCK LOG HANDLERS (shared with onMessage) ---
-    if (['GET_BLOCK_LOG', 'CLEAR_BLOCK_LOG', 'DELETE_SINGLE_LOG'].includes(message.type)) {
+    if (['GET_BLOCK_LOG', 'CLEAR_BLOCK_LOG', 'DELETE_SINGLE_LOG', 'GET_ACTIVITY_SUMMARY', 'EXPORT_BLOCK_LOG', 'IMPORT_BLOCK_LOG'].includes(message.type)) {
         handleBlockLogMessage(message, sendResponse);
         return true;
     }
@@ -687,30 +3326,35 @@ chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) =>
 
     // --- PAUSE STATE HANDLER (Dashboard reads current pause state) ---
     if (message.type === 'GET_PAUSE_STATE') {
-        chrome.storage.local.get('blockingPaused', (result) => {
-            sendResponse({ paused: result.blockingPaused ?? false });
-        });
+        getPauseState().then(sendResponse);
         return true;
     }
 
     // --- PAUSE SYNC FROM DASHBOARD (Direct External Message) ---
     if (message.type === 'SYNC_PAUSE') {
         debugLog('[BEACON EXT] External SYNC_PAUSE received, paused:', message.paused);
-        chrome.storage.local.set({ blockingPaused: message.paused }, () => {
-            debugLog('[BEACON EXT] blockingPaused stored:', message.paused);
-            if (message.paused) {
-                // Clear cache when pausing
-                handleClearLocalCache(() => {
-                    debugLog('[BEACON EXT] Cache cleared due to pause');
-                });
-            }
-            sendResponse({ success: true, paused: message.paused });
-        });
+        handleSyncPause(message.paused, { silent: true, durationMinutes: message.durationMinutes, until: message.until }).then(sendResponse);
         return true; // Async response
     }
 
+    // --- DECISION CACHE STATS ---
+    if (message.type === 'GET_CACHE_STATS') {
+        getCacheStats().then(sendResponse);
+        return true;
+    }
+
+    // --- STRICT MODE FROM DASHBOARD ---
+    if (message.type === 'START_STRICT_MODE') {
+        startStrictMode(message.durationMinutes, message.goal).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'GET_STRICT_MODE_STATE') {
+        getStrictModeState().then(sendResponse);
+        return true;
+    }
+
     return false;
-});
+}));
 async function handlePageStateUpdate(message, sender) {
     const tabId = sender.tab?.id;
     if (!tabId) { debugLog('[PSU] No tabId'); return; }
@@ -731,23 +3375,21 @@ async function handlePageStateUpdate(message, sender) {
         debugLog('[PSU] Processing:', url);
 
         // --- PAUSE CHECK ---
-        // Skip all blocking if user has paused Beacon Blocker
-        const { blockingPaused } = await chrome.storage.local.get('blockingPaused');
-        if (blockingPaused) {
+        // Skip all blocking if user has paused Beacon Blocker (or is outside their focus schedule)
+        if (await isBlockingPaused()) {
             debugLog('[PSU] Blocking paused, skipping');
             return;
         }
 
-        // --- 0. Immediate Safe List Check (Prevent Logging/AI) ---
+        // --- 0. Immediate Site List Check (Prevent Logging/AI) ---
+        const listMatch = getSiteListMatch(url);
         try {
             const urlObj = new URL(url);
             const hostname = urlObj.hostname.toLowerCase();
 
-            // Check Safe List (localhost, banks, google, etc.)
-            const isSafe = SAFE_LIST.some(safe => hostname === safe || hostname.endsWith('.' + safe));
-
-            if (isSafe) {
-                debugLog('[PSU] SAFE_LIST skip:', hostname);
+            // Check system list + user allowlist (localhost, dashboards, banks, etc.)
+            if (listMatch && listMatch.list !== 'block') {
+                debugLog('[PSU] Allowlist skip:', listMatch.pattern);
                 return;
             }
 
@@ -757,6 +3399,29 @@ async function handlePageStateUpdate(message, sender) {
                 return;
             }
 
+            // --- TEMPORARY OVERRIDE CHECK (never for the managed blocklist) ---
+            if (!listMatch?.managed && await getActiveAllowance(url)) {
+                debugLog('[PSU] Temporary override active, skipping');
+                return;
+            }
+
+            // --- User blocklist: block without asking the AI ---
+            if (listMatch?.list === 'block') {
+                if (tabState[tabId]?.blockedUrl === url) return;
+                debugLog('[PSU] Blocklist hit:', listMatch.pattern);
+                await blockFromSiteList(tabId, url, title, listMatch.pattern);
+                return;
+            }
+
+            // --- Daily time budget used up ---
+            const exhausted = await getExhaustedBudget(url);
+            if (exhausted) {
+                if (tabState[tabId]?.blockedUrl === url) return;
+                debugLog('[PSU] Time budget exhausted:', exhausted.budget.label);
+                await blockForTimeBudget(tabId, url, title, exhausted);
+                return;
+            }
+
             // --- YouTube Optimization ---
             // Ignore navigation pages (Home, Search, Feed, History, Channel pages)
             // Only allow: /watch (Videos) or /shorts/ (Shorts)
@@ -827,13 +3492,12 @@ async function handlePageStateUpdate(message, sender) {
             localTime: new Date().toLocaleString('en-US', { weekday: 'long', hour: 'numeric', minute: 'numeric', hour12: true })
         };
 
-        const cached = await getCache(url);
-        const { cacheVersion: currentVersion } = await chrome.storage.local.get('cacheVersion');
-
-        // Cache is valid if it exists AND matches current cacheVersion (invalidated when user changes rules)
-        const cacheValid = cached && (!currentVersion || cached.cacheVersion === currentVersion);
+        // getCache only returns unexpired entries from the current cacheVersion.
+        // A prefetched ALLOW only saw the link, so the loaded page still gets a full check.
+        const cachedEntry = await getCache(url);
+        const cached = cachedEntry?.prefetched && cachedEntry.decision !== 'BLOCK' ? null : cachedEntry;
 
-        if (cacheValid) {
+        if (cached) {
             debugLog('[PSU] Cache HIT:', cached.decision);
             if (cached.decision === 'BLOCK') {
                 // --- PER-TAB SUPPRESSION ---
@@ -853,7 +3517,13 @@ async function handlePageStateUpdate(message, sender) {
                     pageTitle: pageData.title || cached.title || '',
                     activePrompt: cached.activePrompt || null
                 });
-                blockPage(tabId, url);
+                await blockPage(tabId, url, {
+                    reason: cached.reason,
+                    activePrompt: cached.activePrompt,
+                    pageTitle: pageData.title || cached.title,
+                    cached: true
+                });
+                if (cached.prefetched) confirmPrefetchedBlock(tabId, url, pageData.title || cached.title);
             }
         } else {
             debugLog('[PSU] Cache MISS, calling handlePageCheck');
@@ -873,38 +3543,10 @@ async function handlePageStateUpdate(message, sender) {
 
 async function handleClearLocalCache(sendResponse) {
     try {
-        const RESERVED_KEYS = ['authToken', 'userEmail', 'theme', BLOCK_LOG_KEY, 'cacheVersion', 'blockingPaused'];
-
-        // 1. Capture critical data (Paranoid Snapshot)
-        const diskState = await chrome.storage.local.get(RESERVED_KEYS);
-        const allItems = await chrome.storage.local.get(null);
-
-        // 2. Identify keys to remove (Everything EXCEPT reserved)
-        const keysToRemove = Object.keys(allItems).filter(key =>
-            !RESERVED_KEYS.includes(key)
-        );
-
-        // 3. Perform Removal
-        if (keysToRemove.length > 0) {
-            await chrome.storage.local.remove(keysToRemove);
-        }
+        // 1. Drop cached decisions (settings, auth and the activity log live in their own keys)
+        await clearDecisionCache();
 
-        // 4. PARANOID PRESERVATION: Restore if missing
-        // Verify that critical keys still exist. If not, write them back from snapshot.
-        const postClearState = await chrome.storage.local.get(RESERVED_KEYS);
-        const recoveryPayload = {};
-
-        if (diskState.theme && !postClearState.theme) recoveryPayload.theme = diskState.theme;
-        if (diskState.userEmail && !postClearState.userEmail) recoveryPayload.userEmail = diskState.userEmail;
-        if (diskState.authToken && !postClearState.authToken) recoveryPayload.authToken = diskState.authToken;
-        if (diskState.localBlockLog && !postClearState.localBlockLog) recoveryPayload[BLOCK_LOG_KEY] = diskState.localBlockLog;
-        if (diskState.cacheVersion && !postClearState.cacheVersion) recoveryPayload.cacheVersion = diskState.cacheVersion;
-
-        if (Object.keys(recoveryPayload).length > 0) {
-            await chrome.storage.local.set(recoveryPayload);
-        }
-
-        // 5. Reset in-memory dedup state so reloading a page after cache clear re-checks it
+        // 2. Reset in-memory dedup state so reloading a page after cache clear re-checks it
         for (const tabId of Object.keys(tabState)) {
             tabState[tabId] = { lastProcessedUrl: null, lastProcessedTitle: null, hasBeenChecked: false };
         }
@@ -958,6 +3600,173 @@ function formatDuration(totalSeconds) {
     return seconds === 0 ? `${minutes}m` : `${minutes}m ${seconds}s`;
 }
 
+// --- SHORTS LIMITS (caps on Shorts / Reels / TikTok) ---
+// shortsLimits: { maxPerSession, maxSessionsPerDay, dailyMinutes: { Shorts, Reels, TikTok } }
+// Any cap may be null/absent. Counts are aggregated across tabs in shortsDailyStats:
+// { date: 'YYYY-MM-DD', platforms: { [platform]: { count, seconds, sessions } } }
+const SHORTS_LIMITS_KEY = 'shortsLimits';
+const SHORTS_STATS_KEY = 'shortsDailyStats';
+const SHORTS_LIMIT_ALARM = 'shortsLimitTick';
+
+function validateShortsLimits(limits) {
+    if (!limits || typeof limits !== 'object') return null;
+    const positiveOrNull = (value) => {
+        const number = Number(value);
+        return value !== null && value !== undefined && Number.isFinite(number) && number > 0 ? number : null;
+    };
+    const dailyMinutes = {};
+    for (const platform of ['Shorts', 'Reels', 'TikTok']) {
+        const minutes = positiveOrNull(limits.dailyMinutes?.[platform]);
+        if (minutes) dailyMinutes[platform] = minutes;
+    }
+    return {
+        maxPerSession: positiveOrNull(limits.maxPerSession),
+        maxSessionsPerDay: positiveOrNull(limits.maxSessionsPerDay),
+        dailyMinutes
+    };
+}
+
+async function getShortsLimits() {
+    const { [SHORTS_LIMITS_KEY]: limits } = await chrome.storage.local.get(SHORTS_LIMITS_KEY);
+    return validateShortsLimits(limits);
+}
+
+async function getTodayShortsStats() {
+    const { [SHORTS_STATS_KEY]: stats } = await chrome.storage.local.get(SHORTS_STATS_KEY);
+    const today = getLocalDateKey();
+    return stats?.date === today ? stats : { date: today, platforms: {} };
+}
+
+// Apply a delta ({ count, seconds, sessions }) to today's stats for one platform
+async function recordShortsStats(platform, delta) {
+    const stats = await getTodayShortsStats();
+    const current = stats.platforms[platform] || { count: 0, seconds: 0, sessions: 0 };
+    stats.platforms[platform] = {
+        count: current.count + (delta.count || 0),
+        seconds: current.seconds + (delta.seconds || 0),
+        sessions: current.sessions + (delta.sessions || 0)
+    };
+    await chrome.storage.local.set({ [SHORTS_STATS_KEY]: stats });
+    return stats;
+}
+
+// Move the session's unaccounted watch time into today's stats
+async function creditShortsTime(session) {
+    const now = Date.now();
+    const seconds = Math.round((now - (session.lastTick || session.startTime)) / 1000);
+    session.lastTick = now;
+    if (seconds > 0) {
+        return recordShortsStats(session.platform, { seconds });
+    }
+    return getTodayShortsStats();
+}
+
+// Returns a human-readable reason if the session breaks a cap, otherwise null
+function getShortsLimitViolation(limits, session, stats) {
+    if (!limits) return null;
+    const platform = session.platform;
+    const today = stats.platforms[platform] || { count: 0, seconds: 0, sessions: 0 };
+    const sessionCount = session.visitedUrls instanceof Set ? session.visitedUrls.size : (session.count || 0);
+    const sessionDuration = formatDuration(Math.round((Date.now() - session.startTime) / 1000));
+
+    if (limits.maxPerSession && platform !== 'TikTok' && sessionCount > limits.maxPerSession) {
+        return `${platform} limit reached · ${sessionCount - 1} watched in ${sessionDuration} (max ${limits.maxPerSession} per session)`;
+    }
+    const dailyMinutes = limits.dailyMinutes?.[platform];
+    if (dailyMinutes && today.seconds >= dailyMinutes * 60) {
+        return `${platform} limit reached · ${formatDuration(today.seconds)} today (max ${dailyMinutes}m per day)`;
+    }
+    const totalSessions = Object.values(stats.platforms).reduce((sum, p) => sum + (p.sessions || 0), 0);
+    if (limits.maxSessionsPerDay && totalSessions > limits.maxSessionsPerDay) {
+        return `Short-form limit reached · ${totalSessions - 1} sessions today (max ${limits.maxSessionsPerDay} per day)`;
+    }
+    return null;
+}
+
+async function enforceShortsLimits(tabId, url, session, stats) {
+    if (await isBlockingPaused()) return false;
+    const limits = await getShortsLimits();
+    const violation = getShortsLimitViolation(limits, session, stats);
+    if (!violation) return false;
+    if (await getActiveAllowance(url)) return false;
+
+    debugLog('[SHORTS] Limit reached:', violation);
+    addToLocalBlockLog({
+        decision: 'BLOCK',
+        url: url,
+        domain: new URL(url).hostname.replace('www.', ''),
+        reason: violation,
+        pageTitle: `${session.platform} Session`
+    });
+    await blockPage(tabId, url, { reason: violation, pageTitle: `${session.platform} Session` });
+    return true;
+}
+
+async function syncShortsLimits(limits) {
+    const validated = validateShortsLimits(limits);
+    if (!validated) {
+        return { success: false, error: 'Invalid limits' };
+    }
+    if (await guardStrictMode('edit_shorts_limits')) {
+        return { success: false, error: 'Strict mode is active' };
+    }
+    await chrome.storage.local.set({ [SHORTS_LIMITS_KEY]: validated });
+    return { success: true, limits: validated };
+}
+
+function getActiveShortsSessionKeys(items) {
+    return Object.keys(items).filter(key => key.startsWith('shortsSession_') && items[key]?.active);
+}
+
+// The once-a-minute tick only runs while a session is open
+async function updateShortsLimitAlarm() {
+    const items = await chrome.storage.local.get(null);
+    if (getActiveShortsSessionKeys(items).length === 0) {
+        await chrome.alarms.clear(SHORTS_LIMIT_ALARM);
+    } else if (!await chrome.alarms.get(SHORTS_LIMIT_ALARM)) {
+        chrome.alarms.create(SHORTS_LIMIT_ALARM, { periodInMinutes: 1 });
+    }
+}
+
+// Credit watch time and check time caps for every live session (wakes the worker once a minute)
+async function tickShortsSessions() {
+    const items = await chrome.storage.local.get(null);
+    const sessionKeys = getActiveShortsSessionKeys(items);
+    if (sessionKeys.length === 0) {
+        await chrome.alarms.clear(SHORTS_LIMIT_ALARM);
+        return;
+    }
+
+    const limits = await getShortsLimits();
+    const hasTimeCaps = limits && Object.keys(limits.dailyMinutes).length > 0;
+    if (!hasTimeCaps) return;
+
+    for (const key of sessionKeys) {
+        const tabId = parseInt(key.substring('shortsSession_'.length), 10);
+        const session = shortsSessionBuffer.get(key) || {
+            ...items[key],
+            visitedUrls: new Set(items[key].visitedUrls || [])
+        };
+        shortsSessionBuffer.set(key, session);
+
+        const stats = await creditShortsTime(session);
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            if (tab?.url && isShortsUrl(tab.url)) {
+                await enforceShortsLimits(tabId, tab.url, session, stats);
+            }
+        } catch (e) {
+            // Tab is gone - endShortsSession will clean up
+        }
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SHORTS_LIMIT_ALARM) {
+        tickShortsSessions();
+    }
+});
+
 // --- IN-MEMORY SHORTS SESSION BUFFER ---
 // Reduces chrome.storage writes by buffering in memory and persisting periodically
 const shortsSessionBuffer = new Map(); // Map<sessionKey, session>
@@ -997,12 +3806,17 @@ async function handleShortsViewed(tabId, url) {
         session.visitedUrls.add(normalizedUrl);
         session.count = session.visitedUrls.size;
         // No storage write here - batched in interval below
+
+        await recordShortsStats(session.platform, { count: 1 });
+        const stats = await creditShortsTime(session);
+        await enforceShortsLimits(tabId, url, session, stats);
     } else {
         // Create new session in buffer
         const newSession = {
             active: true,
             count: 1,
             startTime: Date.now(),
+            lastTick: Date.now(),
             startUrl: url,
             visitedUrls: new Set([normalizedUrl]),
             platform: getShortsPlatform(url)
@@ -1015,6 +3829,10 @@ async function handleShortsViewed(tabId, url) {
                 visitedUrls: Array.from(newSession.visitedUrls)
             }
         });
+        await updateShortsLimitAlarm();
+
+        const stats = await recordShortsStats(newSession.platform, { count: 1, sessions: 1 });
+        await enforceShortsLimits(tabId, url, newSession, stats);
     }
 }
 
@@ -1045,6 +3863,10 @@ async function endShortsSession(tabId) {
         // Clear from both buffer and storage
         shortsSessionBuffer.delete(sessionKey);
         await chrome.storage.local.remove(sessionKey);
+        await updateShortsLimitAlarm();
+
+        // Credit the last stretch of watch time to today's totals
+        await creditShortsTime(session);
 
         // Convert Set to size if needed (buffer uses Set, storage uses Array)
         const count = session.visitedUrls instanceof Set
@@ -1076,11 +3898,483 @@ async function endShortsSession(tabId) {
             url: session.startUrl,
             domain: hostname,
             reason: reason,
-            pageTitle: pageTitle
+            pageTitle: pageTitle,
+            shortsSession: { platform: session.platform, durationSeconds, count }
+        });
+    }
+}
+
+// --- DAILY TIME BUDGETS ---
+// timeBudgets: [{ id, label, sites: [site-list patterns], dailyMinutes }] - e.g. 30 min of reddit.com.
+// Time counts while a matching tab is the active tab of the focused window.
+// Usage is keyed by local date, so it resets at local midnight.
+const TIME_BUDGETS_KEY = 'timeBudgets';
+const TIME_USAGE_KEY = 'timeUsage'; // { date: 'YYYY-MM-DD', seconds: { [budgetId]: number } }
+const TIME_TRACKING_KEY = 'activeTimeTracking'; // { tabId, url, since } - survives worker restarts
+const TIME_BUDGET_ALARM = 'timeBudgetTick';
+const MAX_TIME_BUDGETS = 50;
+
+let timeBudgets = [];
+let timeTrackingQueue = Promise.resolve(); // Serializes tracking updates
+
+function getLocalDateKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function validateTimeBudgets(budgets) {
+    if (!Array.isArray(budgets)) return null;
+    return budgets
+        .map((budget, index) => ({
+            id: String(budget.id || `budget-${index + 1}`),
+            label: String(budget.label || budget.sites?.[0] || 'Budget'),
+            sites: normalizeSiteList(budget.sites),
+            dailyMinutes: Number(budget.dailyMinutes)
+        }))
+        .filter(budget => budget.sites.length > 0 && Number.isFinite(budget.dailyMinutes) && budget.dailyMinutes >= 0)
+        .slice(0, MAX_TIME_BUDGETS);
+}
+
+function getBudgetsForUrl(url) {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch (e) {
+        return [];
+    }
+    if (!/^https?:$/.test(urlObj.protocol)) return [];
+    return timeBudgets.filter(budget => budget.sites.some(pattern => matchesSitePattern(urlObj, pattern)));
+}
+
+async function loadTimeBudgets() {
+    const { [TIME_BUDGETS_KEY]: stored } = await chrome.storage.local.get(TIME_BUDGETS_KEY);
+    timeBudgets = validateTimeBudgets(stored) || [];
+    await updateTimeBudgetAlarm();
+}
+
+// The per-minute tick only runs while there is a budget to enforce
+async function updateTimeBudgetAlarm() {
+    if (timeBudgets.length === 0) {
+        await chrome.alarms.clear(TIME_BUDGET_ALARM);
+    } else if (!await chrome.alarms.get(TIME_BUDGET_ALARM)) {
+        chrome.alarms.create(TIME_BUDGET_ALARM, { periodInMinutes: 1 });
+    }
+}
+
+// Today's usage, reset if the stored day is over
+async function getTodayUsage() {
+    const { [TIME_USAGE_KEY]: usage } = await chrome.storage.local.get(TIME_USAGE_KEY);
+    const today = getLocalDateKey();
+    return usage?.date === today ? usage : { date: today, seconds: {} };
+}
+
+// Credit time since the tracking session started (or since midnight, if it started yesterday)
+async function flushActiveTime() {
+    const { [TIME_TRACKING_KEY]: tracking } = await chrome.storage.local.get(TIME_TRACKING_KEY);
+    if (!tracking) return;
+
+    const now = Date.now();
+    const midnight = new Date().setHours(0, 0, 0, 0);
+    const elapsedSeconds = Math.max(0, Math.round((now - Math.max(tracking.since, midnight)) / 1000));
+    const budgets = getBudgetsForUrl(tracking.url);
+
+    if (elapsedSeconds > 0 && budgets.length > 0) {
+        const usage = await getTodayUsage();
+        for (const budget of budgets) {
+            usage.seconds[budget.id] = (usage.seconds[budget.id] || 0) + elapsedSeconds;
+        }
+        await chrome.storage.local.set({ [TIME_USAGE_KEY]: usage });
+    }
+    await chrome.storage.local.set({ [TIME_TRACKING_KEY]: { ...tracking, since: now } });
+}
+
+// Returns { budget, usedSeconds, limitSeconds } for the first used-up budget covering url, or null
+async function getExhaustedBudget(url) {
+    const budgets = getBudgetsForUrl(url);
+    if (budgets.length === 0) return null;
+
+    const usage = await getTodayUsage();
+    for (const budget of budgets) {
+        const usedSeconds = usage.seconds[budget.id] || 0;
+        const limitSeconds = budget.dailyMinutes * 60;
+        if (usedSeconds >= limitSeconds) {
+            return { budget, usedSeconds, limitSeconds };
+        }
+    }
+    return null;
+}
+
+async function blockForTimeBudget(tabId, url, pageTitle, exhausted) {
+    if (await isBlockingPaused()) return;
+
+    const { budget, usedSeconds, limitSeconds } = exhausted;
+    const reason = `Daily time budget used · ${formatDuration(usedSeconds)} of ${formatDuration(limitSeconds)} on ${budget.label}`;
+    addToLocalBlockLog({
+        decision: 'BLOCK',
+        url: url,
+        domain: new URL(url).hostname.replace('www.', ''),
+        reason: reason,
+        pageTitle: pageTitle || ''
+    });
+    blockPage(tabId, url, {
+        reason,
+        pageTitle,
+        timeBudget: {
+            label: budget.label,
+            usedSeconds,
+            limitSeconds,
+            usage: `${formatDuration(usedSeconds)} of ${formatDuration(limitSeconds)}`
+        }
+    });
+}
+
+// Re-evaluate which tab (if any) is being timed: the active tab of the focused window
+function refreshActiveTracking() {
+    timeTrackingQueue = timeTrackingQueue.then(async () => {
+        await flushActiveTime();
+
+        let activeTab = null;
+        try {
+            const focusedWindow = await chrome.windows.getLastFocused();
+            if (focusedWindow?.focused) {
+                [activeTab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+            }
+        } catch (e) {
+            // No windows (browser closing) - stop tracking
+        }
+
+        if (!activeTab?.url || getBudgetsForUrl(activeTab.url).length === 0) {
+            await chrome.storage.local.remove(TIME_TRACKING_KEY);
+            return;
+        }
+
+        await chrome.storage.local.set({
+            [TIME_TRACKING_KEY]: { tabId: activeTab.id, url: activeTab.url, since: Date.now() }
         });
+
+        const exhausted = await getExhaustedBudget(activeTab.url);
+        if (exhausted && !(await getActiveAllowance(activeTab.url)) && tabState[activeTab.id]?.blockedUrl !== activeTab.url) {
+            await blockForTimeBudget(activeTab.id, activeTab.url, activeTab.title, exhausted);
+        }
+    }).catch(e => console.error('Time tracking error:', e));
+    return timeTrackingQueue;
+}
+
+async function syncTimeBudgets(budgets) {
+    const validated = validateTimeBudgets(budgets);
+    if (!validated) {
+        return { success: false, error: 'Invalid time budgets' };
+    }
+    if (await guardStrictMode('edit_time_budgets')) {
+        return { success: false, error: 'Strict mode is active' };
+    }
+
+    await refreshActiveTracking(); // Credit time under the old budgets first
+    await chrome.storage.local.set({ [TIME_BUDGETS_KEY]: validated });
+    timeBudgets = validated;
+    await updateTimeBudgetAlarm();
+    refreshActiveTracking();
+    return { success: true, budgets: validated };
+}
+
+async function getTimeUsageReport() {
+    await refreshActiveTracking();
+    const usage = await getTodayUsage();
+    return {
+        success: true,
+        date: usage.date,
+        budgets: timeBudgets.map(budget => ({
+            ...budget,
+            usedSeconds: usage.seconds[budget.id] || 0,
+            limitSeconds: budget.dailyMinutes * 60
+        }))
+    };
+}
+
+chrome.tabs.onActivated.addListener(() => refreshActiveTracking());
+chrome.windows.onFocusChanged.addListener(() => refreshActiveTracking());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url && tab.active) refreshActiveTracking();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === TIME_BUDGET_ALARM && timeBudgets.length > 0) {
+        refreshActiveTracking();
+    }
+});
+
+// --- SETTINGS BACKUP (single versioned file, exported / imported from the popup) ---
+// { type: 'beacon-settings', version, exportedAt, settings: { storageKey: value }, auth? }
+const SETTINGS_BACKUP_TYPE = 'beacon-settings';
+const SETTINGS_BACKUP_VERSION = 1;
+const MAX_SETTINGS_BACKUP_BYTES = 1024 * 1024;
+
+const asBoolean = (value) => typeof value === 'boolean' ? value : undefined;
+
+// Storage key -> validator returning the normalized value, or undefined if invalid.
+// Anything not listed (auth, caches, logs, usage counters, strict mode) is never exported.
+const SETTINGS_SCHEMA = {
+    theme: (value) => ['light', 'dark', 'system'].includes(value) ? value : undefined,
+    autoDeleteActivityLog: asBoolean,
+    activityLogRetention: (value) => Number.isInteger(value) && value > 0 && value <= 3650 ? value : undefined,
+    logAllowDecisions: asBoolean,
+    logCachedDecisions: asBoolean,
+    showBlockCountBadge: asBoolean,
+    blockingPaused: asBoolean,
+    pausedUntil: (value) => Number.isFinite(value) ? value : undefined,
+    [ALLOW_LIST_KEY]: (value) => Array.isArray(value) ? normalizeSiteList(value) : undefined,
+    [BLOCK_LIST_KEY]: (value) => Array.isArray(value) ? normalizeSiteList(value) : undefined,
+    [SCHEDULE_KEY]: (value) => validateSchedule(value) || undefined,
+    backendFailurePolicy: (value) => FAILURE_POLICIES.includes(value) ? value : undefined,
+    localKeywordRules: (value) => Array.isArray(value)
+        ? [...new Set(value.map(rule => String(rule).trim()).filter(Boolean))].slice(0, MAX_KEYWORD_RULES)
+        : undefined,
+    [TIME_BUDGETS_KEY]: (value) => validateTimeBudgets(value) || undefined,
+    [SHORTS_LIMITS_KEY]: (value) => validateShortsLimits(value) || undefined,
+    [CLASSIFIER_SETTINGS_KEY]: (value) => validateClassifierSettings(value) || undefined,
+    [PREFETCH_SETTINGS_KEY]: (value) => validatePrefetchSettings(value) || undefined
+};
+
+// Upgrades from older backup formats, keyed by the version they upgrade from
+const SETTINGS_MIGRATIONS = {
+    // v0: a bare chrome.storage dump without the envelope
+    0: (backup) => ({ type: SETTINGS_BACKUP_TYPE, version: 1, exportedAt: null, settings: backup })
+};
+
+function migrateSettingsBackup(backup) {
+    let current = backup;
+    let version = current.type === SETTINGS_BACKUP_TYPE ? Number(current.version) : 0;
+    if (!Number.isInteger(version) || version > SETTINGS_BACKUP_VERSION) {
+        throw new Error('Backup is from a newer version of Beacon Blocker');
+    }
+    while (version < SETTINGS_BACKUP_VERSION) {
+        current = SETTINGS_MIGRATIONS[version](current);
+        version = current.version;
+    }
+    return current;
+}
+
+// includeAuth: also export the session (off by default - the file would let anyone sign in as you)
+async function exportSettings({ includeAuth = false } = {}) {
+    const keys = Object.keys(SETTINGS_SCHEMA);
+    const stored = await chrome.storage.local.get(includeAuth ? [...keys, 'authToken', 'authRefreshToken', 'userEmail'] : keys);
+    // Exported through the same validators as the import, so our own backups always restore
+    const settings = {};
+    for (const key of keys) {
+        const normalized = stored[key] === undefined ? undefined : SETTINGS_SCHEMA[key](stored[key]);
+        if (normalized !== undefined) settings[key] = normalized;
+    }
+    if (settings[CLASSIFIER_SETTINGS_KEY] && !includeAuth) {
+        const { apiKey, ...classifier } = settings[CLASSIFIER_SETTINGS_KEY];
+        settings[CLASSIFIER_SETTINGS_KEY] = classifier;
+    }
+    const backup = { type: SETTINGS_BACKUP_TYPE, version: SETTINGS_BACKUP_VERSION, exportedAt: Date.now(), settings };
+    if (includeAuth && stored.authToken) {
+        backup.auth = { token: stored.authToken, refreshToken: stored.authRefreshToken || null, email: stored.userEmail || null };
+    }
+    return {
+        success: true,
+        filename: `beacon-settings-${getLocalDateKey()}.json`,
+        mimeType: 'application/json',
+        content: JSON.stringify(backup, null, 2)
+    };
+}
+
+// Validates the whole file before touching anything; settings with side effects
+// (lists, schedule, budgets, limits, pause) go through their usual sync functions, and
+// the ones those refuse come back in `failed`: [{ keys, error }]
+async function importSettings(content, { includeAuth = false } = {}) {
+    if (typeof content !== 'string' || !content.trim()) {
+        return { success: false, error: 'File is empty' };
+    }
+    if (content.length > MAX_SETTINGS_BACKUP_BYTES) {
+        return { success: false, error: 'File is too large' };
+    }
+    if (await guardStrictMode('import_settings')) {
+        return { success: false, error: 'Strict mode is active' };
+    }
+
+    let backup;
+    try {
+        const parsed = JSON.parse(content);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Not a settings backup');
+        backup = migrateSettingsBackup(parsed);
+    } catch (e) {
+        return { success: false, error: `Could not read file: ${e.message}` };
+    }
+
+    const settings = {};
+    const invalid = [];
+    const ignored = [];
+    // Settings the administrator controls are left as they are
+    const locked = [
+        ...(managedPolicy.focusSchedule ? [SCHEDULE_KEY] : []),
+        ...(managedPolicy.disablePause ? ['blockingPaused', 'pausedUntil'] : [])
+    ];
+    for (const [key, value] of Object.entries(backup.settings || {})) {
+        if (!SETTINGS_SCHEMA[key] || locked.includes(key)) { ignored.push(key); continue; }
+        const normalized = SETTINGS_SCHEMA[key](value);
+        if (normalized === undefined) invalid.push(key);
+        else settings[key] = normalized;
+    }
+    if (invalid.length > 0) {
+        return { success: false, error: `Invalid values for: ${invalid.join(', ')}` };
+    }
+
+    const simple = {};
+    for (const key of ['theme', 'autoDeleteActivityLog', 'activityLogRetention', 'logAllowDecisions', 'logCachedDecisions', 'showBlockCountBadge', 'backendFailurePolicy', 'localKeywordRules']) {
+        if (key in settings) simple[key] = settings[key];
+    }
+    await chrome.storage.local.set(simple);
+    if (settings.theme) notifyDashboard('BEACON_THEME_UPDATED', { theme: settings.theme });
+
+    const failed = [];
+    const applyWith = async (keys, sync) => {
+        const result = await sync();
+        if (result && result.success === false) {
+            failed.push({ keys: keys.filter(key => key in settings), error: result.error || 'Not applied' });
+        }
+    };
+
+    if (ALLOW_LIST_KEY in settings || BLOCK_LIST_KEY in settings) {
+        await applyWith([ALLOW_LIST_KEY, BLOCK_LIST_KEY], () => syncSiteLists(settings[ALLOW_LIST_KEY], settings[BLOCK_LIST_KEY]));
+    }
+    if (SCHEDULE_KEY in settings) await applyWith([SCHEDULE_KEY], () => syncSchedule(settings[SCHEDULE_KEY]));
+    if (TIME_BUDGETS_KEY in settings) await applyWith([TIME_BUDGETS_KEY], () => syncTimeBudgets(settings[TIME_BUDGETS_KEY]));
+    if (SHORTS_LIMITS_KEY in settings) await applyWith([SHORTS_LIMITS_KEY], () => syncShortsLimits(settings[SHORTS_LIMITS_KEY]));
+    if (CLASSIFIER_SETTINGS_KEY in settings) {
+        // A backup without the API key (older ones have null) keeps the saved key, like an empty field
+        const classifier = backup.settings[CLASSIFIER_SETTINGS_KEY].apiKey
+            ? settings[CLASSIFIER_SETTINGS_KEY]
+            : { ...settings[CLASSIFIER_SETTINGS_KEY], apiKey: undefined };
+        await applyWith([CLASSIFIER_SETTINGS_KEY], () => syncClassifierSettings(classifier));
+    }
+    if (PREFETCH_SETTINGS_KEY in settings) {
+        await applyWith([PREFETCH_SETTINGS_KEY], () => syncPrefetchSettings(settings[PREFETCH_SETTINGS_KEY]));
+    }
+    if ('blockingPaused' in settings) {
+        // An expired timed pause is restored as "not paused"
+        const timedOut = settings.pausedUntil && settings.pausedUntil <= Date.now();
+        await applyWith(['blockingPaused', 'pausedUntil'], () => handleSyncPause(settings.blockingPaused && !timedOut, {
+            silent: true,
+            until: settings.blockingPaused && settings.pausedUntil && !timedOut ? settings.pausedUntil : undefined
+        }));
+    }
+
+    if (includeAuth && backup.auth?.token) {
+        await storeAuthSession(backup.auth);
+    }
+
+    const failedKeys = failed.flatMap(failure => failure.keys);
+    const applied = Object.keys(settings).filter(key => !failedKeys.includes(key));
+    debugLog('[SETTINGS] Imported backup v' + backup.version, applied, 'failed:', failed);
+    return { success: true, applied, ignored, failed };
+}
+
+// --- STORAGE MIGRATIONS (run on install and update) ---
+// Each migration upgrades stored data from the previous schema version. They must be
+// idempotent: a fresh install runs all of them against empty storage.
+const STORAGE_SCHEMA_KEY = 'storageSchemaVersion';
+
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Add decision and domain to activity log entries',
+        run: async () => {
+            const { [BLOCK_LOG_KEY]: logs } = await chrome.storage.local.get(BLOCK_LOG_KEY);
+            if (!Array.isArray(logs)) return 'no activity log';
+            let upgraded = 0;
+            const migrated = logs
+                .filter(log => log && typeof log.url === 'string' && Number.isFinite(log.timestamp))
+                .map(log => {
+                    if (log.decision && log.domain !== undefined) return log;
+                    upgraded++;
+                    let domain = log.domain;
+                    if (domain === undefined) {
+                        try { domain = new URL(log.url).hostname.replace('www.', ''); } catch (e) { domain = ''; }
+                    }
+                    // Entries from before ALLOW logging were always blocks
+                    return { ...log, decision: log.decision || 'BLOCK', domain };
+                });
+            await chrome.storage.local.set({ [BLOCK_LOG_KEY]: migrated });
+            return `${upgraded} entries upgraded, ${logs.length - migrated.length} malformed removed`;
+        }
+    },
+    {
+        version: 2,
+        description: 'Move top-level cache entries into the decision cache',
+        run: async () => {
+            const items = await chrome.storage.local.get(null);
+            const cache = await loadDecisionCache();
+            const legacyKeys = Object.keys(items).filter(key => isLegacyCacheEntry(key, items[key]));
+            for (const key of legacyKeys) {
+                const { timestamp } = items[key];
+                cache.entries[key] = { ...items[key], lastAccess: timestamp, expiresAt: timestamp + DEFAULT_CACHE_TTL_MS };
+            }
+            if (legacyKeys.length > 0) await chrome.storage.local.remove(legacyKeys);
+
+            // Entries written before expiry/LRU tracking or cacheVersion stamping
+            let normalized = 0;
+            for (const [key, entry] of Object.entries(cache.entries)) {
+                if (!entry || !['BLOCK', 'ALLOW'].includes(entry.decision) || !Number.isFinite(entry.timestamp)) {
+                    delete cache.entries[key];
+                    normalized++;
+                    continue;
+                }
+                if (!entry.expiresAt || !entry.lastAccess || entry.cacheVersion === undefined) {
+                    entry.expiresAt = entry.expiresAt || entry.timestamp + DEFAULT_CACHE_TTL_MS;
+                    entry.lastAccess = entry.lastAccess || entry.timestamp;
+                    entry.cacheVersion = entry.cacheVersion ?? null;
+                    normalized++;
+                }
+            }
+            pruneDecisionCache();
+            await persistDecisionCache();
+            return `${legacyKeys.length} legacy entries moved, ${normalized} normalized`;
+        }
+    },
+    {
+        version: 3,
+        description: 'Remove orphaned shortsSession_* keys',
+        run: async () => {
+            const items = await chrome.storage.local.get(null);
+            const openTabIds = new Set((await chrome.tabs.query({})).map(tab => String(tab.id)));
+            const orphaned = Object.keys(items)
+                .filter(key => key.startsWith('shortsSession_') && !openTabIds.has(key.slice('shortsSession_'.length)));
+            if (orphaned.length > 0) await chrome.storage.local.remove(orphaned);
+            return `${orphaned.length} removed`;
+        }
+    }
+];
+
+async function runStorageMigrations(reason) {
+    const { [STORAGE_SCHEMA_KEY]: storedVersion = 0 } = await chrome.storage.local.get(STORAGE_SCHEMA_KEY);
+    const pending = STORAGE_MIGRATIONS.filter(migration => migration.version > storedVersion);
+    if (pending.length === 0) {
+        debugLog('[MIGRATION] Storage schema up to date at v' + storedVersion);
+        return;
+    }
+
+    debugLog(`[MIGRATION] ${reason}: upgrading storage v${storedVersion} -> v${pending[pending.length - 1].version}`);
+    for (const migration of pending) {
+        try {
+            const result = await migration.run();
+            debugLog(`[MIGRATION] v${migration.version} ${migration.description}: ${result}`);
+            await chrome.storage.local.set({ [STORAGE_SCHEMA_KEY]: migration.version });
+        } catch (e) {
+            // Stop here so the failed step (and everything after it) runs again on the next update
+            console.error(`[MIGRATION] v${migration.version} failed:`, e);
+            return;
+        }
     }
 }
 
+chrome.runtime.onInstalled.addListener((details) => {
+    if (details.reason === 'install' || details.reason === 'update') {
+        runStorageMigrations(details.reason === 'update' ? `update from ${details.previousVersion}` : 'install');
+    }
+});
+
 // --- 5. TAB & LIFECYCLE LISTENERS ---
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     // Clear block suppression if the URL has changed
@@ -1089,23 +4383,40 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     }
 
     if (changeInfo.status === 'loading' && tab.url) {
-        // Skip SAFE_LIST URLs entirely (dashboard, banks, etc.)
-        try {
-            const loadHostname = new URL(tab.url).hostname.toLowerCase();
-            const isSafeUrl = SAFE_LIST.some(safe => loadHostname === safe || loadHostname.endsWith('.' + safe));
-            if (isSafeUrl) {
-                tabState[tabId] = { lastProcessedUrl: null, lastProcessedTitle: null, hasBeenChecked: false };
-                return;
+        await stateReady; // Site lists and the managed blocklist
+        // Skip allowlisted URLs entirely (dashboard, banks, etc.)
+        const listMatch = getSiteListMatch(tab.url);
+        if (listMatch && listMatch.list !== 'block') {
+            tabState[tabId] = { lastProcessedUrl: null, lastProcessedTitle: null, hasBeenChecked: false };
+            return;
+        }
+
+        // Honor "Continue anyway" allowances granted from blocked.html - except on the managed blocklist
+        if (!listMatch?.managed && await getActiveAllowance(tab.url)) {
+            tabState[tabId] = { lastProcessedUrl: null, lastProcessedTitle: null, hasBeenChecked: false };
+            return;
+        }
+
+        // Blocklisted URLs are blocked as soon as they start loading
+        if (listMatch?.list === 'block') {
+            if (tabState[tabId]?.blockedUrl !== tab.url) {
+                blockFromSiteList(tabId, tab.url, tab.title, listMatch.pattern);
             }
-        } catch (e) { /* invalid URL, continue */ }
+            return;
+        }
 
-        const cached = await getCache(tab.url);
-        const { cacheVersion: currentVersion } = await chrome.storage.local.get('cacheVersion');
+        // Used-up daily time budgets block before the page renders much
+        const exhaustedBudget = await getExhaustedBudget(tab.url);
+        if (exhaustedBudget) {
+            if (tabState[tabId]?.blockedUrl !== tab.url) {
+                blockForTimeBudget(tabId, tab.url, tab.title, exhaustedBudget);
+            }
+            return;
+        }
 
-        // Cache is valid if it exists AND matches current cacheVersion
-        const cacheValid = cached && (!currentVersion || cached.cacheVersion === currentVersion);
+        const cached = await getCache(tab.url);
 
-        if (cacheValid) {
+        if (cached) {
             const logTitle = cached.title || tab.title || "Cached Page";
             if (cached.decision === 'BLOCK') {
                 // --- PER-TAB SUPPRESSION ---
@@ -1124,8 +4435,15 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
                     pageTitle: logTitle,
                     activePrompt: cached.activePrompt || null
                 });
-                blockPage(tabId, tab.url);
-            } else if (cached.decision === 'ALLOW') {
+                await blockPage(tabId, tab.url, {
+                    reason: cached.reason,
+                    activePrompt: cached.activePrompt,
+                    pageTitle: logTitle,
+                    cached: true
+                });
+                // Blocked before it renders; the page check decides whether it stays blocked
+                if (cached.prefetched) confirmPrefetchedBlock(tabId, tab.url, logTitle);
+            } else if (cached.decision === 'ALLOW' && !cached.prefetched) {
                 // Optionally log cached ALLOW (if setting is enabled, addToLocalBlockLog will handle)
                 const hostname = new URL(tab.url).hostname.replace('www.', '');
                 const cachedAllowReason = cached.reason ? `Cached decision · ${cached.reason}` : 'Cached decision';
@@ -1152,15 +4470,19 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 });
 chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
     endShortsSession(tabId);
+    blockContexts.delete(tabId);
+    prerenderReopens.delete(tabId);
+    authRechecks.delete(tabId);
     if (tabState[tabId]) {
         delete tabState[tabId];
     }
 });
 
 // --- 6. PAGE CHECK & BACKEND ---
-async function blockPage(tabId, url) {
+// context: { reason, activePrompt, pageTitle, cached, managed, timeBudget } - shown on blocked.html
+async function blockPage(tabId, url, context = {}) {
     // Check if blocking is paused - skip if so
-    const { blockingPaused } = await chrome.storage.local.get('blockingPaused');
+    const blockingPaused = await isBlockingPaused();
     debugLog('[BLOCK] blockingPaused check:', blockingPaused, 'url:', url);
     if (blockingPaused) {
         debugLog('[BLOCK] Blocking paused, not blocking:', url);
@@ -1176,12 +4498,27 @@ async function blockPage(tabId, url) {
         tabState[tabId] = { blockedUrl: url };
     }
 
+    let domain = '';
+    try { domain = new URL(url).hostname.replace('www.', ''); } catch (e) { /* keep empty */ }
+    blockContexts.set(tabId, {
+        url,
+        domain,
+        reason: context.reason || null,
+        activePrompt: context.activePrompt || null,
+        pageTitle: context.pageTitle || '',
+        cached: !!context.cached,
+        managed: !!context.managed,
+        timeBudget: context.timeBudget || null,
+        timestamp: Date.now()
+    });
+
     if (isShortsUrl(url)) {
         await chrome.storage.local.remove(`shortsSession_${tabId}`);
     }
     // Actually block the page by redirecting to blocked.html
     try {
         await chrome.tabs.update(tabId, { url: blockedPageUrl + '?url=' + encodeURIComponent(url) });
+        await incrementDailyBlockCount();
     } catch (e) {
         console.error('[BLOCK] Error updating tab:', e);
     }
@@ -1191,10 +4528,16 @@ async function handlePageCheck(pageData, tabId) {
     if (!tabId) { debugLog('[HPC] No tabId, returning'); return; }
     const targetUrl = pageData.url;
     if (targetUrl.startsWith(blockedPageUrl)) return;
+    await BEACON_CONFIG_READY; // Backend URL may come from the runtime config
+    await stateReady;
 
-    // 0. Local Safe List Check — skip silently (no cache, no log)
-    const hostname = new URL(targetUrl).hostname;
-    if (SAFE_LIST.some(safe => hostname === safe || hostname.endsWith('.' + safe))) {
+    // 0. Site List Check — allowlist skips silently (no cache, no log), blocklist skips the backend
+    const listMatch = getSiteListMatch(targetUrl);
+    if (listMatch?.list === 'block') {
+        blockFromSiteList(tabId, targetUrl, pageData.title, listMatch.pattern);
+        return;
+    }
+    if (listMatch) {
         return;
     }
 
@@ -1204,7 +4547,11 @@ async function handlePageCheck(pageData, tabId) {
         try {
             const existingResult = await pendingRequests.get(cacheKey);
             if (existingResult?.decision === 'BLOCK') {
-                blockPage(tabId, targetUrl);
+                blockPage(tabId, targetUrl, {
+                    reason: existingResult.reason,
+                    activePrompt: existingResult.activePrompt,
+                    pageTitle: pageData.title
+                });
             }
             return;
         } catch (e) {
@@ -1215,100 +4562,21 @@ async function handlePageCheck(pageData, tabId) {
     // Create a promise for this request that others can await
     const requestPromise = (async () => {
         try {
-            const fetchUrl = `${backendUrlBase}/check-url`;
-
-            // Encrypt page data before sending to backend
-            const userId = getUserIdFromToken(authToken);
-            let bodyStr;
-            if (userId) {
-                const sensitiveData = JSON.stringify({
-                    url: pageData.url,
-                    title: pageData.title,
-                    h1: pageData.h1,
-                    description: pageData.description,
-                    keywords: pageData.keywords,
-                    bodySnippet: pageData.bodySnippet
-                });
-                const encryptedData = await encryptString(sensitiveData, userId);
-                bodyStr = JSON.stringify({ encryptedData, localTime: pageData.localTime });
-                debugLog('[API] Page data encrypted before sending');
-            } else {
-                bodyStr = JSON.stringify(pageData);
-                debugLog('[API] No userId available, sending unencrypted');
-            }
-
-            debugLog('[API] Calling:', fetchUrl);
-            debugLog('[API DEBUG] Auth token present:', !!authToken, 'Token length:', authToken?.length);
-            const response = await fetchWithRetry(fetchUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
-                body: bodyStr
-            });
-            debugLog('[API] Response status:', response.status);
-
-            if (response.status === 401 || response.status === 403) {
-                await chrome.storage.local.remove('authToken');
-                authToken = null;
-                // Don't auto-open login tab - just silently clear the token
-                return null;
-            }
-
-            if (response.status === 402) {
-                // Subscription expired — open dashboard once so user sees the SubscriptionGuard
-                // Throttle: only open once per 10 minutes to avoid spamming tabs
-                const { lastSubscriptionPrompt } = await chrome.storage.local.get('lastSubscriptionPrompt');
-                const now = Date.now();
-                if (!lastSubscriptionPrompt || now - lastSubscriptionPrompt > 10 * 60 * 1000) {
-                    debugLog('[API] Subscription required (402) - opening dashboard');
-                    await chrome.storage.local.set({ lastSubscriptionPrompt: now });
-                    chrome.tabs.create({ url: BEACON_CONFIG.DASHBOARD_URL });
-                }
-                return null;
-            }
-
-            if (!response.ok) throw new Error(`Server error: ${response.status}`);
-            const data = await response.json();
-            debugLog('[API] Decision:', data.decision);
+            const provider = getClassifierProvider();
+            const data = await provider.classify(pageData, classifierSettings, { tabId });
+            if (!data) return null;
+            debugLog('[API] Decision:', classifierSettings.provider, data.decision);
+            setBackendStatus(true);
 
             // --- Cache Invalidation Check ---
-            if (data.cacheVersion) {
-                const { cacheVersion: localVersion } = await chrome.storage.local.get('cacheVersion');
-                if (!localVersion || data.cacheVersion > localVersion) {
-                    await handleClearLocalCache();
-                    await chrome.storage.local.set({ cacheVersion: data.cacheVersion });
-                }
-            }
-
-            // Skip caching for time-sensitive decisions (they contain time remaining info or clock times)
-            // This ensures the AI/server is re-consulted when the timer/clock may have changed
-            const reasonLower = data.reason ? data.reason.toLowerCase() : '';
-            const isTimeSensitive = data.reason && (
-                /\d+\s*(min|sec|hour)/i.test(data.reason) ||  // "30 minutes left"
-                /\d{1,2}:\d{2}\s*(am|pm)/i.test(data.reason) || // "until 4:33 PM"
-                /\d{1,2}\s*(am|pm)/i.test(data.reason) ||      // "until 5pm"
-                reasonLower.includes('left)') ||
-                reasonLower.includes('until') ||
-                reasonLower.includes('till') ||
-                reasonLower.includes('through') ||
-                reasonLower.includes('before') ||
-                reasonLower.includes('after') ||
-                reasonLower.includes('starting') ||
-                reasonLower.includes('noon') ||
-                reasonLower.includes('midnight') ||
-                reasonLower.includes('timer') ||
-                reasonLower.includes('expired') ||
-                reasonLower.includes('clock')
-            );
-
-            if (!isTimeSensitive) {
-                await setCache(targetUrl, { decision: data.decision, title: pageData.title, reason: data.reason, activePrompt: data.activePrompt || null });
-            } else {
-                debugLog('[CACHE] Skipping cache for time-sensitive decision');
-            }
+            await applyCacheVersion(data.cacheVersion);
+            await cacheDecision(targetUrl, pageData.title, data);
             return data;
         } catch (error) {
+            // Timeout, network failure or 5xx - decide by the user's failure policy (never cached)
             console.error('Error in handlePageCheck:', error);
-            throw error;
+            await setBackendStatus(false, error.message);
+            return applyFailurePolicy(pageData);
         }
     })();
 
@@ -1326,10 +4594,15 @@ async function handlePageCheck(pageData, tabId) {
                 domain: hostname,
                 reason: data.reason || 'Blocked by Beacon',
                 pageTitle: pageData.title || '',
-                activePrompt: data.activePrompt || null
+                activePrompt: data.activePrompt || null,
+                degraded: data.degraded
             });
 
-            blockPage(tabId, targetUrl);
+            blockPage(tabId, targetUrl, {
+                reason: data.reason || 'Blocked by Beacon',
+                activePrompt: data.activePrompt,
+                pageTitle: pageData.title
+            });
         } else if (data?.decision === 'ALLOW') {
             // Log allow locally if user has enabled this setting
             debugLog('[API] ALLOW decision - calling addToLocalBlockLog');
@@ -1340,7 +4613,8 @@ async function handlePageCheck(pageData, tabId) {
                 domain: hostname,
                 reason: data.reason || 'Allowed',
                 pageTitle: pageData.title || '',
-                activePrompt: data.activePrompt || null
+                activePrompt: data.activePrompt || null,
+                degraded: data.degraded
             });
         }
     } finally {
@@ -1351,7 +4625,7 @@ async function handlePageCheck(pageData, tabId) {
 async function sendLogEvent(logData) {
     if (!authToken) return;
     try {
-        await fetch(`${backendUrlBase}/log-event`, {
+        await fetch(`${BEACON_CONFIG.BACKEND_URL}/log-event`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
             body: JSON.stringify(logData)
@@ -1,4 +1,66 @@
+// Set when a declarativeNetRequest redirect rule blocked the page before it loaded
+function isPrerenderBlock() {
+    return new URLSearchParams(window.location.search).has('prerender');
+}
+
+// Original URL of the blocked page. blockPage() in background.js encodes it; redirect rules
+// can only append it raw, so there it comes last and may contain its own ? and & characters.
+function getBlockedUrl() {
+    if (isPrerenderBlock()) {
+        const marker = window.location.search.indexOf('&url=');
+        return marker === -1 ? '' : window.location.search.substring(marker + '&url='.length);
+    }
+    return new URLSearchParams(window.location.search).get('url') || '';
+}
+
+// --- Block Details ---
+// Asks the background script why this tab was blocked and fills in the details card
+function renderBlockDetails() {
+    const blockedUrl = getBlockedUrl();
+
+    chrome.runtime.sendMessage({ type: 'GET_BLOCK_CONTEXT', url: blockedUrl, prerender: isPrerenderBlock() }, (response) => {
+        if (chrome.runtime.lastError) return;
+
+        const context = response?.context;
+        const details = document.getElementById('block-details');
+        if (!details || (!context && !blockedUrl)) return;
+
+        const url = context?.url || blockedUrl;
+        document.getElementById('block-reason').textContent = context?.reason || 'This page does not match your current goal.';
+        document.getElementById('block-cached').style.display = context?.cached ? 'inline-block' : 'none';
+        document.getElementById('block-title').textContent = context?.pageTitle || '';
+        document.getElementById('block-url').textContent = url;
+
+        if (context?.activePrompt) {
+            document.getElementById('block-goal').textContent = context.activePrompt;
+            document.getElementById('block-goal-row').style.display = 'flex';
+        }
+
+        if (context?.timeBudget) {
+            const { label, usage } = context.timeBudget;
+            document.getElementById('block-budget').textContent = `${usage} on ${label} today`;
+            document.getElementById('block-budget-row').style.display = 'flex';
+        }
+
+        if (context?.timestamp) {
+            document.getElementById('block-time').textContent = new Date(context.timestamp).toLocaleString([], {
+                weekday: 'short', hour: 'numeric', minute: '2-digit'
+            });
+            document.getElementById('block-time-row').style.display = 'flex';
+        }
+
+        // The organization's blocklist can't be overridden - don't offer "Continue anyway"
+        if (context?.managed) {
+            document.querySelector('.override-section').style.display = 'none';
+        }
+
+        details.style.display = 'block';
+    });
+}
+
 document.addEventListener('DOMContentLoaded', () => {
+    renderBlockDetails();
+
     // --- Go to Google Button ---
     const goBackBtn = document.getElementById('go-back-btn');
     if (goBackBtn) {
@@ -23,6 +85,42 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // --- Continue Anyway (temporary override with justification) ---
+    const continueBtn = document.getElementById('continue-anyway-btn');
+    const overrideForm = document.getElementById('override-form');
+    if (continueBtn && overrideForm) {
+        continueBtn.addEventListener('click', () => {
+            continueBtn.style.display = 'none';
+            overrideForm.style.display = 'block';
+            document.getElementById('override-reason').focus();
+        });
+
+        overrideForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const blockedUrl = getBlockedUrl();
+            const errorEl = document.getElementById('override-error');
+            if (!blockedUrl) {
+                errorEl.textContent = 'Original page is unknown.';
+                return;
+            }
+
+            chrome.runtime.sendMessage({
+                type: 'GRANT_OVERRIDE',
+                url: blockedUrl,
+                justification: document.getElementById('override-reason').value,
+                minutes: parseInt(document.getElementById('override-duration').value, 10),
+                scope: document.getElementById('override-scope').value,
+                pageTitle: document.getElementById('block-title')?.textContent || ''
+            }, (response) => {
+                if (chrome.runtime.lastError || !response?.success) {
+                    errorEl.textContent = response?.error || 'Could not allow this page.';
+                    return;
+                }
+                window.location.href = blockedUrl;
+            });
+        });
+    }
+
     // --- Report Bug Link ---
     const reportBugLink = document.getElementById('report-bug-link');
     if (reportBugLink) {
@@ -1,9 +1,15 @@
 // config.js - Environment Configuration
-// Toggle IS_DEV to switch between local development and production
+// IS_DEV picks the built-in defaults. At runtime these can be overridden without editing this file:
+//   chrome.storage.managed  - admin policy (see managed_schema.json), always wins
+//   chrome.storage.local    - 'runtimeConfig', edited from the developer panel in options.html
+// Every extension context loads this file, so background.js, content-script.js, blocked.js and
+// options.js all read the same BEACON_CONFIG (after BEACON_CONFIG_READY resolves).
+// Note: manifest.json "externally_connectable" is the outer bound for dashboard origins -
+// a trusted origin not matched there still can't send external messages.
 
 var IS_DEV = false; // Set to true for local development
 
-var BEACON_CONFIG = {
+var BEACON_CONFIG_DEFAULTS = {
     BACKEND_URL: IS_DEV
         ? 'http://localhost:3000'
         : 'https://api.beaconblocker.com',
@@ -15,5 +21,99 @@ var BEACON_CONFIG = {
     // Dashboard URLs for content script detection
     DASHBOARD_DOMAINS: IS_DEV
         ? ['localhost:5173', 'localhost:5174', 'localhost:5175', 'beaconblocker.vercel.app', 'chrome-test-dashboard.vercel.app', 'dashboard.beaconblocker.com']
-        : ['beaconblocker.vercel.app', 'chrome-test-dashboard.vercel.app', 'dashboard.beaconblocker.com']
+        : ['beaconblocker.vercel.app', 'chrome-test-dashboard.vercel.app', 'dashboard.beaconblocker.com'],
+
+    // Origins allowed to message the extension directly (onMessageExternal)
+    TRUSTED_ORIGINS: [
+        'https://dashboard.beaconblocker.com',
+        'https://beaconblocker.vercel.app',
+        'https://chrome-test-dashboard.vercel.app',
+        ...(IS_DEV ? ['http://localhost:5173', 'http://localhost:3001'] : [])
+    ],
+
+    // 'normal' (warnings and errors) or 'debug' (everything passed to debugLog)
+    LOG_LEVEL: IS_DEV ? 'debug' : 'normal'
 };
+
+var RUNTIME_CONFIG_KEY = 'runtimeConfig';
+var LOG_LEVELS = ['normal', 'debug'];
+
+var BEACON_CONFIG = {};
+
+// Keep only valid overrides: { backendUrl, dashboardUrl, trustedOrigins, logLevel }
+function validateRuntimeConfig(config) {
+    const valid = {};
+    if (!config || typeof config !== 'object') return valid;
+    const asHttpUrl = (value) => {
+        try {
+            const url = new URL(String(value));
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.origin + url.pathname.replace(/\/+$/, '') : null;
+        } catch (e) {
+            return null;
+        }
+    };
+    if (config.backendUrl && asHttpUrl(config.backendUrl)) valid.backendUrl = asHttpUrl(config.backendUrl);
+    if (config.dashboardUrl && asHttpUrl(config.dashboardUrl)) valid.dashboardUrl = asHttpUrl(config.dashboardUrl);
+    if (Array.isArray(config.trustedOrigins)) {
+        const origins = config.trustedOrigins.map(asHttpUrl).filter(Boolean).map(url => new URL(url).origin);
+        if (origins.length > 0) valid.trustedOrigins = [...new Set(origins)];
+    }
+    if (LOG_LEVELS.includes(config.logLevel)) valid.logLevel = config.logLevel;
+    return valid;
+}
+
+// Rebuild BEACON_CONFIG in place from the defaults plus overrides (managed beats local)
+function applyRuntimeConfig(localConfig, managedConfig) {
+    const overrides = { ...validateRuntimeConfig(localConfig), ...validateRuntimeConfig(managedConfig) };
+    const config = { ...BEACON_CONFIG_DEFAULTS };
+
+    if (overrides.backendUrl) config.BACKEND_URL = overrides.backendUrl;
+    if (overrides.dashboardUrl) config.DASHBOARD_URL = overrides.dashboardUrl;
+    if (overrides.trustedOrigins || overrides.dashboardUrl) {
+        // The dashboard itself is always trusted; bridge detection uses the same hosts.
+        // Only DASHBOARD_URL's host is exempt from blocking, and only below the blocklists
+        // (getConfiguredDashboardHost in background.js)
+        const origins = [...(overrides.trustedOrigins || BEACON_CONFIG_DEFAULTS.TRUSTED_ORIGINS)];
+        const dashboardOrigin = new URL(config.DASHBOARD_URL).origin;
+        if (!origins.includes(dashboardOrigin)) origins.push(dashboardOrigin);
+        config.TRUSTED_ORIGINS = origins;
+        config.DASHBOARD_DOMAINS = origins.map(origin => new URL(origin).host);
+    }
+    if (overrides.logLevel) config.LOG_LEVEL = overrides.logLevel;
+
+    // Exchanges a refresh token for a new access token: POST { refresh_token } -> { access_token, refresh_token }
+    config.AUTH_REFRESH_URL = `${config.BACKEND_URL}/auth/refresh`;
+    config.OVERRIDES = overrides;
+    config.MANAGED_KEYS = Object.keys(validateRuntimeConfig(managedConfig));
+
+    for (const key of Object.keys(BEACON_CONFIG)) delete BEACON_CONFIG[key];
+    Object.assign(BEACON_CONFIG, config);
+    return BEACON_CONFIG;
+}
+
+// Managed storage is unavailable (rejects) outside enterprise-managed browsers
+function readManagedConfig() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.managed) return Promise.resolve({});
+    return chrome.storage.managed.get(null).catch(() => ({}));
+}
+
+function loadRuntimeConfig() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+        return Promise.resolve(applyRuntimeConfig({}, {}));
+    }
+    return Promise.all([chrome.storage.local.get(RUNTIME_CONFIG_KEY), readManagedConfig()])
+        .then(([local, managed]) => applyRuntimeConfig(local[RUNTIME_CONFIG_KEY], managed))
+        .catch(() => applyRuntimeConfig({}, {}));
+}
+
+// Defaults are usable synchronously; overrides land once this resolves
+applyRuntimeConfig({}, {});
+var BEACON_CONFIG_READY = loadRuntimeConfig();
+
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if ((area === 'local' && changes[RUNTIME_CONFIG_KEY]) || area === 'managed') {
+            BEACON_CONFIG_READY = loadRuntimeConfig();
+        }
+    });
+}
@@ -1,9 +1,8 @@
 // content-script.js (v38 - Event Listener Cleanup)
 
-// Conditional logging - only log in development mode
-const IS_DEV_CONTENT = typeof BEACON_CONFIG !== 'undefined' && BEACON_CONFIG.BACKEND_URL.includes('localhost');
+// Conditional logging - only with the 'debug' log level (see config.js)
 function debugLog(...args) {
-    if (IS_DEV_CONTENT) {
+    if (typeof BEACON_CONFIG !== 'undefined' && BEACON_CONFIG.LOG_LEVEL === 'debug') {
         console.log(...args);
     }
 }
@@ -46,6 +45,13 @@ chrome.runtime.onMessage.addListener((message) => {
     if (message.type === 'BRIDGE_EVENT') {
         window.dispatchEvent(new CustomEvent(message.eventType, { detail: message.detail }));
     }
+    // Background wants a fresh decision for this page (e.g. a timed allowance ended)
+    if (message.type === 'REQUEST_PAGE_STATE') {
+        lastSentTitle = "";
+        lastSentUrl = "";
+        isUpdatePending = false;
+        sendUpdate();
+    }
 });
 
 let lastSentTitle = "";
@@ -157,22 +163,174 @@ if (titleElement) {
     }).observe(titleElement, { childList: true });
 }
 
+// --- Link Prefetch ---
+// When enabled (prefetchSettings in storage), links the user hovers or scrolls past are sent to the
+// background in small groups so their decisions are cached before the click. Visible tabs only.
+const PREFETCH_FLUSH_MS = 1000;
+const MAX_PREFETCH_LINKS_PER_PAGE = 150;
+const prefetchSent = new Set();
+const prefetchHovered = new Set();
+let observedAnchors = new WeakSet(); // Reset on stop so a restart observes every link again
+let prefetchPending = [];
+let prefetchFlushTimer = null;
+let prefetchRescanTimer = null;
+let viewportObserver = null;
+let anchorObserver = null;
+
+function getPrefetchLink(anchor) {
+    let url;
+    try {
+        url = new URL(anchor.href, window.location.href);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    // In-page anchors lead back to the page that's already been checked
+    if (url.href === window.location.href.split('#')[0]) return null;
+    const text = (anchor.innerText || anchor.title || anchor.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+    return { url: url.href, text: text.slice(0, 200) };
+}
+
+function flushPrefetchLinks() {
+    clearTimeout(prefetchFlushTimer);
+    prefetchFlushTimer = null;
+    if (prefetchPending.length === 0) return;
+    safeSendMessage({ type: 'PREFETCH_LINKS', links: prefetchPending });
+    prefetchPending = [];
+}
+
+function queuePrefetchLink(anchor, hover) {
+    if (document.visibilityState !== 'visible') return;
+    const link = getPrefetchLink(anchor);
+    if (!link) return;
+
+    if (hover) {
+        // A hover is worth sending even if the link was already reported from the viewport
+        if (prefetchHovered.has(link.url)) return;
+        prefetchHovered.add(link.url);
+        prefetchSent.add(link.url);
+        prefetchPending.push({ ...link, hover: true });
+        flushPrefetchLinks();
+        return;
+    }
+    if (prefetchSent.has(link.url) || prefetchSent.size >= MAX_PREFETCH_LINKS_PER_PAGE) return;
+    prefetchSent.add(link.url);
+    prefetchPending.push({ ...link, hover: false });
+    if (!prefetchFlushTimer) prefetchFlushTimer = setTimeout(flushPrefetchLinks, PREFETCH_FLUSH_MS);
+}
+
+function observeNewAnchors() {
+    for (const anchor of document.querySelectorAll('a[href]')) {
+        if (observedAnchors.has(anchor)) continue;
+        observedAnchors.add(anchor);
+        viewportObserver.observe(anchor);
+    }
+}
+
+function startLinkPrefetch() {
+    if (viewportObserver || window.location.protocol === 'chrome-extension:') return;
+
+    viewportObserver = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            viewportObserver.unobserve(entry.target);
+            queuePrefetchLink(entry.target, false);
+        }
+    });
+    observeNewAnchors();
+
+    // Infinite scroll / SPA content adds links after load
+    anchorObserver = new MutationObserver(() => {
+        if (prefetchRescanTimer) return;
+        prefetchRescanTimer = setTimeout(() => {
+            prefetchRescanTimer = null;
+            if (viewportObserver) observeNewAnchors();
+        }, PREFETCH_FLUSH_MS);
+    });
+    anchorObserver.observe(document.body || document.documentElement, { childList: true, subtree: true });
+
+    document.addEventListener('mouseover', handlePrefetchHover);
+}
+
+function stopLinkPrefetch() {
+    viewportObserver?.disconnect();
+    anchorObserver?.disconnect();
+    viewportObserver = null;
+    anchorObserver = null;
+    clearTimeout(prefetchRescanTimer);
+    prefetchRescanTimer = null;
+    document.removeEventListener('mouseover', handlePrefetchHover);
+    observedAnchors = new WeakSet();
+    prefetchPending = [];
+}
+
+function handlePrefetchHover(event) {
+    const anchor = event.target instanceof Element ? event.target.closest('a[href]') : null;
+    if (anchor) queuePrefetchLink(anchor, true);
+}
+
+chrome.storage.local.get('prefetchSettings', ({ prefetchSettings }) => {
+    if (prefetchSettings?.enabled) startLinkPrefetch();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.prefetchSettings) return;
+    if (changes.prefetchSettings.newValue?.enabled) startLinkPrefetch();
+    else stopLinkPrefetch();
+});
+
+window.addEventListener('pagehide', stopLinkPrefetch);
+
+// Back/forward cache restores the page without re-running this script - pick prefetch up again
+window.addEventListener('pageshow', (event) => {
+    if (!event.persisted) return;
+    chrome.storage.local.get('prefetchSettings', ({ prefetchSettings }) => {
+        if (prefetchSettings?.enabled) startLinkPrefetch();
+    });
+});
+
 // --- Dashboard Integration ---
 // This allows the web dashboard to know if the extension is installed and logged in.
-const DASHBOARD_URLS = typeof BEACON_CONFIG !== 'undefined' ? BEACON_CONFIG.DASHBOARD_DOMAINS : ['beaconblocker.vercel.app', 'chrome-test-dashboard.vercel.app'];
+// Read on demand - the dashboard hosts can come from the runtime config
+function getDashboardUrls() {
+    return typeof BEACON_CONFIG !== 'undefined' ? BEACON_CONFIG.DASHBOARD_DOMAINS : ['beaconblocker.vercel.app', 'chrome-test-dashboard.vercel.app'];
+}
+
+function isDashboardPage() {
+    return getDashboardUrls().some(url => window.location.href.includes(url));
+}
 
 // Extra validation for sensitive operations - ensures we're actually on a trusted dashboard
 function isOnTrustedDashboard() {
     const currentHost = window.location.host.toLowerCase(); // Use .host to include port
-    return DASHBOARD_URLS.some(domain =>
+    return getDashboardUrls().some(domain =>
         currentHost === domain || currentHost.endsWith('.' + domain)
     );
 }
 
+// Bridges that change settings or hand out browsing data only answer on a trusted dashboard host -
+// isDashboardPage() also matches any URL that merely mentions one
+function addTrustedListener(target, eventType, handler) {
+    addTrackedListener(target, eventType, (event) => {
+        if (!isOnTrustedDashboard()) {
+            console.warn(`[BCB] ${eventType} rejected - not on trusted dashboard. Host:`, window.location.host);
+            return;
+        }
+        handler(event);
+    });
+}
+
 debugLog('[BCB] Content script loaded');
-debugLog('[BCB] Is dashboard:', DASHBOARD_URLS.some(url => window.location.href.includes(url)));
 
-if (DASHBOARD_URLS.some(url => window.location.href.includes(url))) {
+// Wait for runtime overrides before deciding whether this page is the dashboard
+const configReady = typeof BEACON_CONFIG_READY !== 'undefined' ? BEACON_CONFIG_READY : Promise.resolve();
+configReady.then(() => {
+    debugLog('[BCB] Is dashboard:', isDashboardPage());
+    if (isDashboardPage()) setupDashboardBridges();
+});
+
+function setupDashboardBridges() {
     debugLog('[BCB] Dashboard detected! Setting up bridges...');
 
     const injectMarker = async () => {
@@ -206,8 +364,8 @@ if (DASHBOARD_URLS.some(url => window.location.href.includes(url))) {
 
     // --- Cache Invalidation Bridge ---
     // Listen for CustomEvent from the Dashboard (App.jsx)
-    addTrackedListener(window, 'BEACON_RULES_UPDATED', () => {
-        safeSendMessage({ type: 'CLEAR_LOCAL_CACHE' });
+    addTrustedListener(window, 'BEACON_RULES_UPDATED', () => {
+        safeSendMessage({ type: 'RULES_UPDATED' });
     });
 
     // --- Auth Sync Bridge ---
@@ -217,12 +375,13 @@ if (DASHBOARD_URLS.some(url => window.location.href.includes(url))) {
             console.warn('[BCB] Auth sync rejected - not on trusted dashboard. Host:', window.location.host);
             return;
         }
-        const { token, email } = event.detail;
+        const { token, email, refreshToken } = event.detail;
         if (token && email) {
             console.log('[BCB] Auth sync accepted for:', email);
             safeSendMessage({
                 type: 'SYNC_AUTH',
                 token: token,
+                refreshToken: refreshToken,
                 email: email
             });
         }
@@ -250,11 +409,146 @@ if (DASHBOARD_URLS.some(url => window.location.href.includes(url))) {
 
     // --- Pause Sync Bridge ---
     addTrackedListener(document, 'BEACON_PAUSE_SYNC', (event) => {
-        const { paused } = event.detail;
-        debugLog('[BCB] Syncing pause state:', paused);
+        const { paused, durationMinutes, until } = event.detail;
+        debugLog('[BCB] Syncing pause state:', paused, durationMinutes ?? until ?? '');
         safeSendMessage({
             type: 'SYNC_PAUSE',
-            paused: paused
+            paused: paused,
+            durationMinutes: durationMinutes,
+            until: until
+        }, (response) => {
+            // Refused (e.g. strict mode) - tell the dashboard the real state
+            if (response && !response.success) {
+                window.dispatchEvent(new CustomEvent('BEACON_PAUSE_STATE_RESPONSE', {
+                    detail: { paused: response.paused ?? false, error: response.error }
+                }));
+            }
+        });
+    });
+
+    // --- Strict Mode Bridge ---
+    addTrustedListener(document, 'BEACON_START_STRICT_MODE', (event) => {
+        const { durationMinutes, goal } = event.detail || {};
+        safeSendMessage({ type: 'START_STRICT_MODE', durationMinutes, goal }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_STRICT_MODE_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    addTrackedListener(document, 'BEACON_GET_STRICT_MODE', () => {
+        safeSendMessage({ type: 'GET_STRICT_MODE_STATE' }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_STRICT_MODE_RESPONSE', {
+                detail: response || { active: false }
+            }));
+        });
+    });
+
+    // --- Time Budget Bridge ---
+    addTrustedListener(document, 'BEACON_TIME_BUDGETS_SYNC', (event) => {
+        const { budgets } = event.detail || {};
+        safeSendMessage({ type: 'SYNC_TIME_BUDGETS', budgets }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_TIME_BUDGETS_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    addTrackedListener(document, 'BEACON_GET_TIME_USAGE', () => {
+        safeSendMessage({ type: 'GET_TIME_USAGE' }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_TIME_USAGE_RESPONSE', {
+                detail: response || { success: false, budgets: [] }
+            }));
+        });
+    });
+
+    // --- Shorts Limits Bridge ---
+    addTrustedListener(document, 'BEACON_SHORTS_LIMITS_SYNC', (event) => {
+        const { limits } = event.detail || {};
+        safeSendMessage({ type: 'SYNC_SHORTS_LIMITS', limits }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_SHORTS_LIMITS_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    addTrackedListener(document, 'BEACON_GET_SHORTS_STATS', () => {
+        safeSendMessage({ type: 'GET_SHORTS_STATS' }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_SHORTS_STATS_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    // --- Backend Failure Policy Bridge ---
+    addTrustedListener(document, 'BEACON_FAILURE_POLICY_SYNC', (event) => {
+        const { policy, keywordRules } = event.detail || {};
+        safeSendMessage({ type: 'SYNC_FAILURE_POLICY', policy, keywordRules }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_FAILURE_POLICY_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    addTrackedListener(document, 'BEACON_GET_FAILURE_POLICY', () => {
+        safeSendMessage({ type: 'GET_FAILURE_POLICY' }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_FAILURE_POLICY_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    // --- Link Prefetch Settings Bridge ---
+    addTrustedListener(document, 'BEACON_PREFETCH_SETTINGS_SYNC', (event) => {
+        const { settings } = event.detail || {};
+        safeSendMessage({ type: 'SYNC_PREFETCH_SETTINGS', settings }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_PREFETCH_SETTINGS_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    addTrackedListener(document, 'BEACON_GET_PREFETCH_SETTINGS', () => {
+        safeSendMessage({ type: 'GET_PREFETCH_SETTINGS' }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_PREFETCH_SETTINGS_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    // --- Focus Schedule Bridge ---
+    addTrustedListener(document, 'BEACON_SCHEDULE_SYNC', (event) => {
+        const { schedule } = event.detail || {};
+        safeSendMessage({ type: 'SYNC_SCHEDULE', schedule }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_SCHEDULE_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    addTrackedListener(document, 'BEACON_GET_SCHEDULE', () => {
+        safeSendMessage({ type: 'GET_SCHEDULE' }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_SCHEDULE_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    // --- Site Lists Bridge (allowlist / blocklist) ---
+    addTrustedListener(document, 'BEACON_SITE_LISTS_SYNC', (event) => {
+        const { allowList, blockList } = event.detail || {};
+        safeSendMessage({ type: 'SYNC_SITE_LISTS', allowList, blockList }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_SITE_LISTS_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    addTrustedListener(document, 'BEACON_GET_SITE_LISTS', () => {
+        safeSendMessage({ type: 'GET_SITE_LISTS' }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_SITE_LISTS_RESPONSE', {
+                detail: response || { success: false, allowList: [], blockList: [] }
+            }));
         });
     });
 
@@ -309,7 +603,43 @@ if (DASHBOARD_URLS.some(url => window.location.href.includes(url))) {
     addTrackedListener(document, 'BEACON_GET_PAUSE_STATE', () => {
         safeSendMessage({ type: 'GET_PAUSE_STATE' }, (response) => {
             window.dispatchEvent(new CustomEvent('BEACON_PAUSE_STATE_RESPONSE', {
-                detail: { paused: response?.paused ?? false }
+                detail: { paused: response?.paused ?? false, pausedUntil: response?.pausedUntil ?? null }
+            }));
+        });
+    });
+
+    // --- Activity Summary Bridge (aggregates only, computed by the extension) ---
+    addTrustedListener(document, 'BEACON_GET_ACTIVITY_SUMMARY', (event) => {
+        safeSendMessage({ type: 'GET_ACTIVITY_SUMMARY', days: event.detail?.days }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_ACTIVITY_SUMMARY_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    // --- Activity Log Export / Import Bridges (the file never passes through the backend) ---
+    addTrustedListener(document, 'BEACON_EXPORT_BLOCK_LOG', (event) => {
+        const { format, from, to, decisions } = event.detail || {};
+        safeSendMessage({ type: 'EXPORT_BLOCK_LOG', format, from, to, decisions }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_EXPORT_BLOCK_LOG_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    addTrustedListener(document, 'BEACON_IMPORT_BLOCK_LOG', (event) => {
+        safeSendMessage({ type: 'IMPORT_BLOCK_LOG', content: event.detail?.content }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_IMPORT_BLOCK_LOG_RESPONSE', {
+                detail: response || { success: false }
+            }));
+        });
+    });
+
+    // --- Cache Stats Bridge ---
+    addTrackedListener(document, 'BEACON_GET_CACHE_STATS', () => {
+        safeSendMessage({ type: 'GET_CACHE_STATS' }, (response) => {
+            window.dispatchEvent(new CustomEvent('BEACON_CACHE_STATS_RESPONSE', {
+                detail: response || { success: false }
             }));
         });
     });
@@ -1,6 +1,89 @@
+// Format a schedule transition time: "5:00 PM" today, "Mon 9:00 AM" otherwise
+function formatScheduleTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
+// Remaining time of a timed pause: "4:05" or "1:02:30"
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+let pauseCountdownTimer = null;
+
+// Labels for settings locked by a managed (enterprise) policy - see managedPolicy.locks
+const MANAGED_LOCK_LABELS = {
+    schedule: 'focus schedule',
+    strictMode: 'strict mode hours',
+    pause: 'pausing disabled',
+    backendUrl: 'backend',
+    dashboardUrl: 'dashboard',
+    trustedOrigins: 'trusted dashboards',
+    logLevel: 'log level'
+};
+
+function renderManagedPolicy(policy) {
+    const note = document.getElementById('admin-policy');
+    const labels = (policy?.locks || []).map(lock => lock === 'blockList'
+        ? `${policy.blockList.length} blocked site${policy.blockList.length === 1 ? '' : 's'}`
+        : MANAGED_LOCK_LABELS[lock] || lock);
+    note.textContent = labels.length > 0 ? `Managed by your administrator: ${labels.join(', ')}` : '';
+    note.style.display = labels.length > 0 ? 'block' : 'none';
+}
+
+function formatHour(hour) {
+    const date = new Date();
+    date.setHours(hour, 0, 0, 0);
+    return date.toLocaleTimeString([], { hour: 'numeric' });
+}
+
+// Weekly activity panel - aggregates are computed by the background from the local log
+function renderActivitySummary() {
+    chrome.runtime.sendMessage({ type: 'GET_ACTIVITY_SUMMARY', days: 7 }, (summary) => {
+        const panel = document.getElementById('activity-summary');
+        const rows = document.getElementById('activity-summary-rows');
+        if (chrome.runtime.lastError || !summary?.success) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const today = summary.perDay[summary.perDay.length - 1];
+        const shortsSeconds = Object.values(summary.shorts).reduce((sum, p) => sum + p.seconds, 0);
+        const items = [
+            ['Blocked', `${summary.totals.blocks} (${today?.blocks || 0} today)`],
+            ['Top site', summary.topDomains[0] ? `${summary.topDomains[0].domain} (${summary.topDomains[0].count})` : '—'],
+            ['Busiest hour', summary.busiestHours[0] ? formatHour(summary.busiestHours[0].hour) : '—'],
+            ['Short-form time', shortsSeconds > 0 ? `${Math.round(shortsSeconds / 60)} min` : '—'],
+            ['Overrides', String(summary.overrides.count)]
+        ];
+
+        rows.replaceChildren(...items.map(([label, value]) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; margin-top: 2px;';
+            const labelEl = document.createElement('span');
+            labelEl.style.color = 'var(--neutral-text)';
+            labelEl.textContent = label;
+            const valueEl = document.createElement('span');
+            valueEl.textContent = value;
+            row.append(labelEl, valueEl);
+            return row;
+        }));
+        panel.style.display = 'block';
+    });
+}
+
 // Update UI based on auth state
 async function updateUI() {
-    const { authToken, userEmail, theme, blockingPaused, strictModeUntil } = await chrome.storage.local.get(['authToken', 'userEmail', 'theme', 'blockingPaused', 'strictModeUntil']);
+    const { authToken, userEmail, theme, blockingPaused, pausedUntil, strictModeUntil, scheduleState, backendStatus, authSessionLost, showBlockCountBadge, classifierSettings, managedPolicy } = await chrome.storage.local.get(['authToken', 'userEmail', 'theme', 'blockingPaused', 'pausedUntil', 'strictModeUntil', 'scheduleState', 'backendStatus', 'authSessionLost', 'showBlockCountBadge', 'classifierSettings', 'managedPolicy']);
+    const managedLocks = managedPolicy?.locks || [];
+    // A self-hosted classifier works without a Beacon account
+    const usesLocalClassifier = !!classifierSettings && classifierSettings.provider !== 'beacon';
 
     // Apply Theme to html element for consistency with dashboard
     if (theme === 'dark') {
@@ -21,17 +104,44 @@ async function updateUI() {
     const pauseBtn = document.getElementById('pause-btn');
     const clearCacheBtn = document.getElementById('clear-cache');
 
-    if (authToken) {
-        // Logged In - check if paused
-        if (blockingPaused) {
+    const pauseOptions = document.getElementById('pause-options');
+    const scheduleStatus = document.getElementById('schedule-status');
+
+    clearInterval(pauseCountdownTimer);
+    pauseCountdownTimer = null;
+    const backendStatusEl = document.getElementById('backend-status');
+
+    // Backend degraded indicator (check-url timing out / 5xx, or any classifier error - failure policy in effect)
+    if ((authToken || usesLocalClassifier) && backendStatus?.degraded) {
+        const sinceLabel = backendStatus.since
+            ? ` since ${new Date(backendStatus.since).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+            : '';
+        const errorLabel = backendStatus.lastError ? ` (${backendStatus.lastError})` : '';
+        backendStatusEl.textContent = `Backend degraded${sinceLabel} — using your offline policy${errorLabel}`;
+        backendStatusEl.style.display = 'block';
+    } else {
+        backendStatusEl.style.display = 'none';
+    }
+    renderManagedPolicy(managedPolicy);
+
+    if (authToken || usesLocalClassifier) {
+        const accountLabel = userEmail || (usesLocalClassifier ? 'Local classifier' : 'Logged In');
+        const isUserStrict = strictModeUntil && strictModeUntil > Date.now();
+        // Strict mode hours from the managed policy count too
+        const isStrictActive = isUserStrict || scheduleState?.strictWindow;
+        const strictUntil = Math.max(isUserStrict ? strictModeUntil : 0, scheduleState?.strictWindow ? scheduleState.strictNextChange || 0 : 0);
+        const isSchedulePaused = scheduleState?.enabled && !scheduleState.inWindow && !isStrictActive;
+
+        // Logged In - check if paused (manually or by the focus schedule)
+        if (blockingPaused || isSchedulePaused) {
             // Paused state - amber styling (aligned with dashboard)
             authSection.innerHTML = `
                 <div style="background-color: rgba(234, 179, 8, 0.1); color: ${isDark ? '#fbbf24' : '#b45309'}; padding: 12px; border-radius: 12px; margin-bottom: 1rem; border: 1px solid #f59e0b;">
                     <div style="font-weight: bold; font-size: 1.1rem; display: flex; align-items: center; justify-content: center; gap: 8px;">
-                         Paused
+                         Paused${!blockingPaused ? ' (Schedule)' : ''}
                     </div>
                     <div style="font-size: 0.85rem; text-align: center; margin-top: 4px; opacity: 0.9;">
-                        ${userEmail || 'Logged In'}
+                        ${accountLabel}
                     </div>
                 </div>
             `;
@@ -43,32 +153,70 @@ async function updateUI() {
                          Active
                     </div>
                     <div style="font-size: 0.85rem; text-align: center; margin-top: 4px; opacity: 0.9;">
-                        ${userEmail || 'Logged In'}
+                        ${accountLabel}
                     </div>
                 </div>
             `;
         }
-        loginBtn.style.display = 'none';
-        logoutBtn.style.display = 'flex';
+        loginBtn.style.display = authToken ? 'none' : 'flex';
+        logoutBtn.style.display = authToken ? 'flex' : 'none';
         logoutBtn.textContent = 'Sign Out';
         clearCacheBtn.style.display = 'flex';
 
+        // Focus schedule state + next change
+        if (scheduleState?.enabled) {
+            const nextLabel = scheduleState.nextChange ? ` until ${formatScheduleTime(scheduleState.nextChange)}` : '';
+            const managedLabel = managedLocks.includes('schedule') ? ' (set by your administrator)' : '';
+            scheduleStatus.textContent = scheduleState.inWindow
+                ? `Schedule: focus time${nextLabel}${managedLabel}`
+                : `Schedule: free time${nextLabel}${managedLabel}`;
+            scheduleStatus.style.display = 'block';
+        } else {
+            scheduleStatus.style.display = 'none';
+        }
+
         // Pause/Resume button
         pauseSection.style.display = 'block';
-        const isStrictMode = strictModeUntil && strictModeUntil > Date.now();
+        document.getElementById('badge-count-toggle').checked = !!showBlockCountBadge;
+        renderActivitySummary();
+        const isStrictMode = isStrictActive;
+
+        // Strict mode also locks the escape hatches (sign out, cache clear)
+        logoutBtn.disabled = !!isStrictMode;
+        clearCacheBtn.disabled = !!isStrictMode;
 
         if (isStrictMode) {
-            pauseBtn.textContent = 'Locked (Strict Mode)';
+            const untilLabel = strictUntil
+                ? ` until ${new Date(strictUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+                : '';
+            pauseBtn.textContent = `Locked${untilLabel} (Strict Mode)`;
+            pauseBtn.disabled = true;
+            pauseBtn.className = 'neutral-button';
+            pauseOptions.style.display = 'none';
+        } else if (managedLocks.includes('pause')) {
+            pauseBtn.textContent = 'Pausing disabled by your administrator';
             pauseBtn.disabled = true;
             pauseBtn.className = 'neutral-button';
+            pauseOptions.style.display = 'none';
         } else if (blockingPaused) {
-            pauseBtn.textContent = 'Resume Blocking';
             pauseBtn.className = 'neutral-button resume-state';
             pauseBtn.disabled = false;
+            pauseOptions.style.display = 'none';
+            if (pausedUntil) {
+                // Live countdown until the background alarm resumes blocking
+                const renderCountdown = () => {
+                    pauseBtn.textContent = `Resume Blocking (${formatCountdown(pausedUntil - Date.now())} left)`;
+                };
+                renderCountdown();
+                pauseCountdownTimer = setInterval(renderCountdown, 1000);
+            } else {
+                pauseBtn.textContent = 'Resume Blocking';
+            }
         } else {
             pauseBtn.textContent = 'Pause Blocking';
             pauseBtn.className = 'neutral-button pause-state';
             pauseBtn.disabled = false;
+            pauseOptions.style.display = 'flex';
         }
     } else {
         // Logged Out - red styling (aligned with dashboard)
@@ -77,12 +225,18 @@ async function updateUI() {
                 <div style="font-weight: bold; font-size: 1.1rem; display: flex; align-items: center; justify-content: center; gap: 8px;">
                      Inactive
                 </div>
+                ${authSessionLost ? `
+                <div style="font-size: 0.85rem; text-align: center; margin-top: 4px; opacity: 0.9;">
+                    Your session expired — sign in again to keep blocking
+                </div>` : ''}
             </div>
         `;
         loginBtn.style.display = 'flex';
         logoutBtn.style.display = 'none';
         clearCacheBtn.style.display = 'none';
         pauseSection.style.display = 'none';
+        scheduleStatus.style.display = 'none';
+        document.getElementById('activity-summary').style.display = 'none';
     }
 
     // Version label
@@ -95,13 +249,290 @@ document.getElementById('login-btn').addEventListener('click', () => {
     chrome.tabs.create({ url: BEACON_CONFIG.DASHBOARD_URL });
 });
 
+// Toolbar badge block count (background redraws the badge on storage change)
+document.getElementById('badge-count-toggle').addEventListener('change', (e) => {
+    chrome.storage.local.set({ showBlockCountBadge: e.target.checked });
+});
+
+// "Until a time…" reveals the time picker
+document.getElementById('pause-duration').addEventListener('change', (e) => {
+    document.getElementById('pause-until').style.display = e.target.value === 'until' ? 'block' : 'none';
+});
+
+// Selected pause length as SYNC_PAUSE fields ({} = until resumed manually)
+function getSelectedPauseLength() {
+    const choice = document.getElementById('pause-duration').value;
+    if (!choice) return {};
+    if (choice !== 'until') return { durationMinutes: Number(choice) };
+
+    const time = document.getElementById('pause-until').value; // "HH:MM"
+    if (!time) return null;
+    const [hours, minutes] = time.split(':').map(Number);
+    const until = new Date();
+    until.setHours(hours, minutes, 0, 0);
+    if (until.getTime() <= Date.now()) until.setDate(until.getDate() + 1); // Earlier time means tomorrow
+    return { until: until.getTime() };
+}
+
+// --- Activity log export / import (handled locally by the background) ---
+function showLogTransferStatus(text) {
+    const status = document.getElementById('log-transfer-status');
+    status.textContent = text;
+    status.style.display = 'block';
+}
+
+function exportLog(format) {
+    const rangeDays = Number(document.getElementById('export-range').value);
+    const decision = document.getElementById('export-decisions').value;
+    chrome.runtime.sendMessage({
+        type: 'EXPORT_BLOCK_LOG',
+        format,
+        from: rangeDays ? Date.now() - rangeDays * 24 * 60 * 60 * 1000 : undefined,
+        decisions: decision ? [decision] : undefined
+    }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            showLogTransferStatus(`Export failed${response?.error ? `: ${response.error}` : ''}`);
+            return;
+        }
+        const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = response.filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showLogTransferStatus(`Exported ${response.count} entr${response.count === 1 ? 'y' : 'ies'}`);
+    });
+}
+
+document.getElementById('export-json').addEventListener('click', (e) => {
+    e.preventDefault();
+    exportLog('json');
+});
+
+document.getElementById('export-csv').addEventListener('click', (e) => {
+    e.preventDefault();
+    exportLog('csv');
+});
+
+document.getElementById('import-log').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('import-log-file').click();
+});
+
+document.getElementById('import-log-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const content = await file.text();
+    chrome.runtime.sendMessage({ type: 'IMPORT_BLOCK_LOG', content }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            showLogTransferStatus(`Import failed${response?.error ? `: ${response.error}` : ''}`);
+            return;
+        }
+        const skipped = response.duplicates + response.expired + response.invalid;
+        showLogTransferStatus(`Imported ${response.imported} entr${response.imported === 1 ? 'y' : 'ies'}${skipped ? `, skipped ${skipped}` : ''}`);
+        renderActivitySummary();
+    });
+});
+
+// --- Settings backup (auth tokens are never included from the popup) ---
+function showSettingsBackupStatus(text) {
+    const status = document.getElementById('settings-backup-status');
+    status.textContent = text;
+    status.style.display = 'block';
+}
+
+document.getElementById('export-settings-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.sendMessage({ type: 'EXPORT_SETTINGS' }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            showSettingsBackupStatus('Could not export settings');
+            return;
+        }
+        const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = response.filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showSettingsBackupStatus('Settings exported');
+    });
+});
+
+document.getElementById('import-settings-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('import-settings-file').click();
+});
+
+document.getElementById('import-settings-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const content = await file.text();
+    chrome.runtime.sendMessage({ type: 'IMPORT_SETTINGS', content }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            showSettingsBackupStatus(`Restore failed${response?.error ? `: ${response.error}` : ''}`);
+            return;
+        }
+        const failed = response.failed || [];
+        showSettingsBackupStatus(`Restored ${response.applied.length} setting${response.applied.length === 1 ? '' : 's'}` +
+            (failed.length > 0 ? ` · not applied: ${failed.map(failure => `${failure.keys.join(', ')} (${failure.error})`).join('; ')}` : ''));
+        updateUI();
+    });
+});
+
+// --- Classifier provider (hosted Beacon or a self-hosted model) ---
+function showClassifierStatus(text) {
+    const status = document.getElementById('classifier-status');
+    status.textContent = text;
+    status.style.display = 'block';
+}
+
+function toggleClassifierFields() {
+    const isLocal = document.getElementById('classifier-provider').value !== 'beacon';
+    document.getElementById('classifier-local-fields').style.display = isLocal ? 'flex' : 'none';
+}
+
+function loadClassifierForm() {
+    chrome.runtime.sendMessage({ type: 'GET_CLASSIFIER_SETTINGS' }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) return;
+        const settings = response.settings;
+        document.getElementById('classifier-provider').value = settings.provider;
+        document.getElementById('classifier-endpoint').value = settings.endpoint || '';
+        document.getElementById('classifier-model').value = settings.model || '';
+        document.getElementById('classifier-api-key').placeholder = settings.apiKey ? 'API key saved' : 'API key (optional)';
+        document.getElementById('classifier-goal').value = settings.goalPrompt || '';
+        toggleClassifierFields();
+    });
+}
+
+document.getElementById('classifier-provider').addEventListener('change', toggleClassifierFields);
+
+document.getElementById('classifier-save').addEventListener('click', () => {
+    const apiKey = document.getElementById('classifier-api-key').value;
+    chrome.runtime.sendMessage({
+        type: 'SYNC_CLASSIFIER_SETTINGS',
+        settings: {
+            provider: document.getElementById('classifier-provider').value,
+            endpoint: document.getElementById('classifier-endpoint').value.trim(),
+            model: document.getElementById('classifier-model').value.trim(),
+            // Left empty = keep the saved key
+            apiKey: apiKey || undefined,
+            goalPrompt: document.getElementById('classifier-goal').value.trim()
+        }
+    }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            showClassifierStatus(response?.error || 'Could not save classifier');
+            return;
+        }
+        document.getElementById('classifier-api-key').value = '';
+        showClassifierStatus('Classifier saved');
+        loadClassifierForm();
+        updateUI();
+    });
+});
+
+loadClassifierForm();
+
+// --- Developer panel (runtime environment, see config.js) ---
+const DEV_PANEL_CLICKS = 5;
+const DEV_FIELDS = {
+    backendUrl: 'dev-backend-url',
+    dashboardUrl: 'dev-dashboard-url',
+    trustedOrigins: 'dev-trusted-origins',
+    logLevel: 'dev-log-level'
+};
+let versionClicks = 0;
+
+function showDevStatus(text) {
+    const status = document.getElementById('dev-status');
+    status.textContent = text;
+    status.style.display = 'block';
+}
+
+async function loadDeveloperPanel() {
+    await BEACON_CONFIG_READY;
+    document.getElementById('dev-backend-url').value = BEACON_CONFIG.BACKEND_URL;
+    document.getElementById('dev-dashboard-url').value = BEACON_CONFIG.DASHBOARD_URL;
+    document.getElementById('dev-trusted-origins').value = BEACON_CONFIG.TRUSTED_ORIGINS.join('\n');
+    document.getElementById('dev-log-level').value = BEACON_CONFIG.LOG_LEVEL;
+
+    // Values pushed by an administrator can't be changed here
+    for (const [key, id] of Object.entries(DEV_FIELDS)) {
+        const field = document.getElementById(id);
+        field.disabled = BEACON_CONFIG.MANAGED_KEYS.includes(key);
+        field.title = field.disabled ? 'Set by your administrator' : '';
+    }
+    if (BEACON_CONFIG.MANAGED_KEYS.length > 0) {
+        showDevStatus('Some settings are managed by your administrator');
+    }
+}
+
+document.getElementById('version-label').addEventListener('click', () => {
+    versionClicks++;
+    if (versionClicks < DEV_PANEL_CLICKS) return;
+    versionClicks = 0;
+    const panel = document.getElementById('developer-panel');
+    const opening = panel.style.display === 'none';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) loadDeveloperPanel();
+});
+
+document.getElementById('dev-save').addEventListener('click', async () => {
+    const input = {
+        backendUrl: document.getElementById('dev-backend-url').value.trim(),
+        dashboardUrl: document.getElementById('dev-dashboard-url').value.trim(),
+        trustedOrigins: document.getElementById('dev-trusted-origins').value.split('\n').map(line => line.trim()).filter(Boolean),
+        logLevel: document.getElementById('dev-log-level').value
+    };
+    const runtimeConfig = validateRuntimeConfig(input);
+    const rejected = Object.keys(DEV_FIELDS).filter(key =>
+        !runtimeConfig[key] && (Array.isArray(input[key]) ? input[key].length > 0 : input[key])
+    );
+    if (rejected.length > 0) {
+        showDevStatus(`Invalid value for ${rejected.join(', ')}`);
+        return;
+    }
+    // Only store what differs from the built-in defaults, so flipping IS_DEV still takes effect
+    if (runtimeConfig.backendUrl === BEACON_CONFIG_DEFAULTS.BACKEND_URL) delete runtimeConfig.backendUrl;
+    if (runtimeConfig.dashboardUrl === BEACON_CONFIG_DEFAULTS.DASHBOARD_URL) delete runtimeConfig.dashboardUrl;
+    if (runtimeConfig.logLevel === BEACON_CONFIG_DEFAULTS.LOG_LEVEL) delete runtimeConfig.logLevel;
+    if (runtimeConfig.trustedOrigins?.join('\n') === BEACON_CONFIG_DEFAULTS.TRUSTED_ORIGINS.join('\n')) delete runtimeConfig.trustedOrigins;
+
+    const response = await chrome.runtime.sendMessage({ type: 'SYNC_RUNTIME_CONFIG', config: runtimeConfig });
+    if (!response?.success) {
+        showDevStatus(response?.error || 'Could not save');
+        return;
+    }
+    BEACON_CONFIG_READY = loadRuntimeConfig();
+    await loadDeveloperPanel();
+    showDevStatus('Saved - reload open tabs to apply everywhere');
+});
+
+document.getElementById('dev-reset').addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ type: 'SYNC_RUNTIME_CONFIG', config: null });
+    if (!response?.success) {
+        showDevStatus(response?.error || 'Could not reset');
+        return;
+    }
+    BEACON_CONFIG_READY = loadRuntimeConfig();
+    await loadDeveloperPanel();
+    showDevStatus('Reset to built-in defaults');
+});
+
 // Pause/Resume handler
 document.getElementById('pause-btn').addEventListener('click', async () => {
     const { blockingPaused } = await chrome.storage.local.get('blockingPaused');
     const newValue = !blockingPaused;
-    await chrome.storage.local.set({ blockingPaused: newValue });
-    chrome.runtime.sendMessage({ type: 'SYNC_PAUSE', paused: newValue });
-    updateUI();
+    const pauseLength = newValue ? getSelectedPauseLength() : {};
+    if (!pauseLength) {
+        document.getElementById('pause-until').focus();
+        return;
+    }
+    // Background owns the pause state so it can refuse during strict mode
+    chrome.runtime.sendMessage({ type: 'SYNC_PAUSE', paused: newValue, ...pauseLength }, () => {
+        updateUI();
+    });
 });
 
 let logoutConfirmTimer = null;
@@ -122,8 +553,14 @@ document.getElementById('logout-btn').addEventListener('click', async (e) => {
         // Second click: Actually log out
         clearTimeout(logoutConfirmTimer);
 
-        // 1. Clear Extension Auth
-        await chrome.storage.local.remove(['authToken', 'userEmail']);
+        // 1. Clear Extension Auth (refused by background during strict mode)
+        const response = await chrome.runtime.sendMessage({ type: 'LOGOUT' });
+        if (!response?.success) {
+            btn.textContent = 'Sign Out';
+            btn.classList.remove('confirming');
+            updateUI();
+            return;
+        }
 
         // 2. Open Dashboard to trigger Supabase Sign Out
         chrome.tabs.create({ url: BEACON_CONFIG.DASHBOARD_URL + '?logout=true' });
@@ -162,7 +599,7 @@ document.getElementById('clear-cache').addEventListener('click', (e) => {
                     </div>
                 `;
             } else {
-                status.textContent = 'Error clearing cache.';
+                status.textContent = response?.error ? `Cannot clear cache: ${response.error}.` : 'Error clearing cache.';
                 status.style.color = 'red';
             }
 
@@ -219,7 +656,7 @@ document.addEventListener('DOMContentLoaded', updateUI);
 // Listen for storage changes (e.g. if user logs in via dashboard, or pauses from dashboard)
 chrome.storage.onChanged.addListener((changes, area) => {
     if (area === 'local') {
-        if (changes.authToken || changes.theme || changes.blockingPaused || changes.strictModeUntil) {
+        if (changes.authToken || changes.theme || changes.blockingPaused || changes.pausedUntil || changes.strictModeUntil || changes.scheduleState || changes.backendStatus || changes.authSessionLost || changes.classifierSettings || changes.managedPolicy) {
             updateUI();
         }
     }
@@ -0,0 +1,32 @@
+// Toolbar badge: it shows whether Beacon is actually blocking, not just what storage says
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+async function badgeFor(options) {
+    const env = loadBackground(options);
+    await env.ready;
+    await env.context.updateActionState();
+    return env.chrome.action.badge;
+}
+
+test('a manual pause shows on the badge', async () => {
+    const badge = await badgeFor({ local: { authToken: 'test-token', blockingPaused: true } });
+
+    assert.equal(badge.text, '||');
+    assert.match(badge.title, /Blocking paused/);
+});
+
+test('a stored pause the managed policy disables shows as active', async () => {
+    const badge = await badgeFor({ local: { authToken: 'test-token', blockingPaused: true }, managed: { disablePause: true } });
+
+    assert.equal(badge.text, '');
+    assert.match(badge.title, /Active/);
+});
+
+test('a timed pause that already ran out shows as active', async () => {
+    const badge = await badgeFor({ local: { authToken: 'test-token', blockingPaused: true, pausedUntil: Date.now() - 1000 } });
+
+    assert.equal(badge.text, '');
+});
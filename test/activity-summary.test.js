@@ -0,0 +1,117 @@
+// Activity summary: per-day counts, top domains, busiest hours, Shorts time per platform and
+// overrides, all computed from the local log
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const { getLocalDateKey } = loadBackground().context;
+
+// Local time `daysAgo` days before today at `hour`:30
+function at(daysAgo, hour) {
+    const date = new Date();
+    date.setHours(hour, 30, 0, 0);
+    date.setDate(date.getDate() - daysAgo);
+    return date.getTime();
+}
+
+function logEntry(domain, timestamp, extra = {}) {
+    return { url: `https://${domain}/page`, domain, reason: 'Off goal', decision: 'BLOCK', timestamp, ...extra };
+}
+
+async function summarize(log, days) {
+    const env = loadBackground({ local: { authToken: 'test-token', localBlockLog: log } });
+    await env.ready;
+    // Plain data, without the vm context's prototypes
+    return JSON.parse(JSON.stringify(await env.sendMessage({ type: 'GET_ACTIVITY_SUMMARY', days })));
+}
+
+test('blocks and overrides are counted per day within the requested range', async () => {
+    const summary = await summarize([
+        logEntry('reddit.com', at(0, 9)),
+        logEntry('reddit.com', at(0, 10)),
+        logEntry('reddit.com', at(0, 11), { decision: 'OVERRIDE' }),
+        logEntry('x.com', at(1, 9)),
+        logEntry('docs.example.com', at(2, 9), { decision: 'ALLOW' }),
+        logEntry('x.com', at(2, 9), { degraded: true }),
+        logEntry('x.com', at(5, 9))
+    ], 3);
+
+    assert.equal(summary.success, true);
+    assert.equal(summary.days, 3);
+    // Starts at midnight two days ago
+    assert.equal(summary.from, at(2, 0) - 30 * 60 * 1000);
+    assert.deepEqual(
+        summary.perDay.map(({ date, blocks, overrides }) => [date, blocks, overrides]),
+        [
+            [getLocalDateKey(new Date(at(2, 12))), 1, 0],
+            [getLocalDateKey(new Date(at(1, 12))), 1, 0],
+            [getLocalDateKey(new Date(at(0, 12))), 2, 1]
+        ]
+    );
+    assert.deepEqual(summary.totals, { blocks: 4, allows: 1, overrides: 1, degraded: 1, shortsSessions: 0 });
+});
+
+test('top domains and busiest hours come from blocks only', async () => {
+    const summary = await summarize([
+        logEntry('reddit.com', at(0, 21)),
+        logEntry('reddit.com', at(1, 21)),
+        logEntry('reddit.com', at(2, 9)),
+        logEntry('x.com', at(0, 21)),
+        logEntry('x.com', at(1, 9)),
+        logEntry('news.example.com', at(0, 14)),
+        logEntry('docs.example.com', at(0, 14), { decision: 'ALLOW' }),
+        logEntry('games.example.com', at(0, 14), { decision: 'OVERRIDE' })
+    ], 7);
+
+    assert.deepEqual(
+        summary.topDomains.map(({ domain, count }) => [domain, count]),
+        [['reddit.com', 3], ['x.com', 2], ['news.example.com', 1]]
+    );
+    assert.equal(summary.hours.length, 24);
+    assert.equal(summary.hours[21], 3);
+    assert.deepEqual(summary.busiestHours.map(({ hour, count }) => [hour, count]), [[21, 3], [9, 2], [14, 1]]);
+});
+
+test('Shorts sessions are summed per platform and are not counted as blocks', async () => {
+    const session = (platform, durationSeconds, count) => ({ reason: 'Short-form Content', shortsSession: { platform, durationSeconds, count } });
+    const summary = await summarize([
+        logEntry('youtube.com', at(0, 20), session('YouTube', 120, 5)),
+        logEntry('youtube.com', at(1, 20), session('YouTube', 60, 3)),
+        logEntry('tiktok.com', at(0, 22), session('TikTok', 300, 12)),
+        // Logged before sessions carried their platform
+        logEntry('instagram.com', at(0, 23), { reason: 'Short-form Content' })
+    ], 7);
+
+    assert.deepEqual(summary.shorts, {
+        YouTube: { sessions: 2, seconds: 180, videos: 8 },
+        TikTok: { sessions: 1, seconds: 300, videos: 12 },
+        Other: { sessions: 1, seconds: 0, videos: 0 }
+    });
+    assert.equal(summary.totals.shortsSessions, 4);
+    assert.equal(summary.totals.blocks, 0);
+    assert.deepEqual(summary.topDomains, []);
+});
+
+test('overrides are counted with their most overridden domains', async () => {
+    const summary = await summarize([
+        logEntry('news.example.com', at(0, 9), { decision: 'OVERRIDE' }),
+        logEntry('news.example.com', at(1, 9), { decision: 'OVERRIDE' }),
+        logEntry('reddit.com', at(1, 10), { decision: 'OVERRIDE' }),
+        logEntry('reddit.com', at(1, 11))
+    ], 7);
+
+    assert.equal(summary.overrides.count, 3);
+    assert.deepEqual(
+        summary.overrides.topDomains.map(({ domain, count }) => [domain, count]),
+        [['news.example.com', 2], ['reddit.com', 1]]
+    );
+});
+
+test('the range defaults to 7 days and is capped at 90', async () => {
+    for (const [days, expected] of [[undefined, 7], [0, 7], ['soon', 7], [1, 1], [500, 90]]) {
+        const summary = await summarize([], days);
+        assert.equal(summary.days, expected, String(days));
+        assert.equal(summary.perDay.length, expected, String(days));
+    }
+});
@@ -0,0 +1,57 @@
+// Token refresh after /check-url rejects the session
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+const { startFakeBackend } = require('./helpers/fake-backend');
+
+const PAGE = { url: 'https://docs.example.com/guide', title: 'Guide' };
+
+let backend;
+
+afterEach(async () => {
+    await backend.close();
+});
+
+async function loadWithBackend(routes) {
+    backend = await startFakeBackend(routes);
+    const env = loadBackground({
+        backendUrl: backend.url,
+        local: { authToken: 'old-token', authRefreshToken: 'refresh-token' },
+        tabs: [{ id: 1, url: PAGE.url }]
+    });
+    await env.ready;
+    return env;
+}
+
+const requestsTo = (path) => backend.requests.filter(request => request.path === path).length;
+
+test('a rejected token is refreshed and the page re-checked only once', async () => {
+    const env = await loadWithBackend({
+        'POST /check-url': () => ({ status: 403, body: { error: 'Forbidden' } }),
+        'POST /auth/refresh': () => ({ body: { access_token: 'new-token', refresh_token: 'refresh-token-2' } })
+    });
+
+    // The re-check the refresh triggers gets the same 403
+    await env.context.handlePageCheck(PAGE, 1);
+    await env.context.handlePageCheck(PAGE, 1);
+
+    assert.equal(requestsTo('/check-url'), 2);
+    assert.equal(requestsTo('/auth/refresh'), 1);
+    assert.equal(env.chrome.tabs.messages.filter(({ message }) => message.type === 'REQUEST_PAGE_STATE').length, 1);
+    assert.equal(env.chrome.storage.local.data.authToken, 'new-token');
+});
+
+test('a refresh answered with something other than JSON ends the session', async () => {
+    const env = await loadWithBackend({
+        'POST /check-url': () => ({ status: 401, body: { error: 'Expired' } }),
+        'POST /auth/refresh': () => ({ body: '<html>Gateway</html>' })
+    });
+
+    await env.context.handlePageCheck(PAGE, 1);
+
+    await waitFor(() => env.chrome.storage.local.data.authSessionLost);
+    assert.equal(env.chrome.storage.local.data.authSessionLost.reason, 'refresh_rejected');
+    assert.equal(env.chrome.storage.local.data.authToken, undefined);
+    assert.deepEqual(env.chrome.tabs.messages, []);
+});
@@ -0,0 +1,77 @@
+// Activity log: retention, size cap, and the origin check on the dashboard's external messages
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DASHBOARD = { url: 'https://dashboard.beaconblocker.com/activity' };
+
+function logEntry(url, ageMs) {
+    return { url, domain: new URL(url).hostname, reason: 'Off goal', decision: 'BLOCK', timestamp: Date.now() - ageMs };
+}
+
+const LOG = [
+    logEntry('https://reddit.com/r/all', DAY),
+    logEntry('https://news.example.com/story', 10 * DAY),
+    logEntry('https://videos.example.com/watch/1', 40 * DAY)
+];
+
+test('with auto-delete on, entries older than the retention period are dropped', async () => {
+    const env = loadBackground({ local: { authToken: 'test-token', localBlockLog: LOG, autoDeleteActivityLog: true, activityLogRetention: 30 } });
+    await env.ready;
+
+    const response = await env.sendMessage({ type: 'GET_BLOCK_LOG' });
+
+    assert.deepEqual(response.logs.map(log => log.url), ['https://reddit.com/r/all', 'https://news.example.com/story']);
+    assert.equal(env.chrome.storage.local.data.localBlockLog.length, 2);
+});
+
+test('auto-delete falls back to 7 days, and keeps everything while it is off', async () => {
+    const withDefault = loadBackground({ local: { authToken: 'test-token', localBlockLog: LOG, autoDeleteActivityLog: true } });
+    await withDefault.ready;
+    assert.equal((await withDefault.sendMessage({ type: 'GET_BLOCK_LOG' })).logs.length, 1);
+
+    const off = loadBackground({ local: { authToken: 'test-token', localBlockLog: LOG } });
+    await off.ready;
+    assert.equal((await off.sendMessage({ type: 'GET_BLOCK_LOG' })).logs.length, 3);
+});
+
+test('the log keeps the newest 1000 entries and skips back-to-back duplicates', async () => {
+    const full = Array.from({ length: 1000 }, (_, i) => logEntry(`https://site${i}.example.com/`, DAY + i));
+    const env = loadBackground({ local: { localBlockLog: full } });
+    await env.ready;
+
+    const entry = { decision: 'BLOCK', url: 'https://new.example.com/', domain: 'new.example.com', reason: 'Off goal' };
+    await env.context.addToLocalBlockLog(entry);
+    await env.context.addToLocalBlockLog(entry);
+
+    const log = env.chrome.storage.local.data.localBlockLog;
+    assert.equal(log.length, 1000);
+    assert.equal(log[0].url, 'https://new.example.com/');
+    assert.equal(log[1].url, 'https://site0.example.com/');
+});
+
+test('external messages are only answered for trusted dashboard origins', async () => {
+    const env = loadBackground({ local: { authToken: 'test-token', localBlockLog: LOG } });
+    await env.ready;
+
+    const trusted = await env.sendExternalMessage({ type: 'GET_BLOCK_LOG' }, DASHBOARD);
+    assert.equal(trusted.logs.length, 3);
+
+    for (const sender of [{ url: 'https://evil.example.com/?dashboard.beaconblocker.com' }, { url: 'not a url' }, {}]) {
+        const refused = await env.sendExternalMessage({ type: 'CLEAR_BLOCK_LOG' }, sender);
+        assert.deepEqual({ ...refused }, { success: false, error: 'Unauthorized origin' });
+    }
+    assert.equal(env.chrome.storage.local.data.localBlockLog.length, 3);
+});
+
+test('a trusted origin from the runtime config may message the extension', async () => {
+    const env = loadBackground({
+        local: { authToken: 'test-token', localBlockLog: LOG, runtimeConfig: { trustedOrigins: ['https://staging.example.com'] } }
+    });
+    await env.ready;
+
+    const response = await env.sendExternalMessage({ type: 'GET_BLOCK_LOG' }, { url: 'https://staging.example.com/logs' });
+    assert.equal(response.success, true);
+});
@@ -0,0 +1,95 @@
+// Server-timed caching: expiresAt / ttlSeconds / cacheScope from /check-url, and re-checking
+// open tabs when a timed ALLOW ends
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+const { startFakeBackend } = require('./helpers/fake-backend');
+
+const HOUR = 60 * 60 * 1000;
+const PAGE_URL = 'https://docs.example.com/guide';
+const OTHER_URL = 'https://news.example.com/today';
+
+let backend;
+let env;
+let reply;
+
+beforeEach(async () => {
+    reply = { decision: 'ALLOW', reason: 'Documentation' };
+    backend = await startFakeBackend({ 'POST /check-url': () => ({ body: reply }) });
+    env = loadBackground({
+        backendUrl: backend.url,
+        local: { authToken: 'test-token' },
+        tabs: [{ id: 1, url: PAGE_URL, active: true }, { id: 2, url: OTHER_URL }]
+    });
+    await env.ready;
+});
+
+afterEach(async () => {
+    await backend.close();
+});
+
+function cachedEntries() {
+    return env.chrome.storage.local.data.decisionCache?.entries || {};
+}
+
+function checkPage(url = PAGE_URL, tabId = 1) {
+    return env.context.handlePageCheck({ url, title: 'Guide' }, tabId);
+}
+
+test('the earlier of expiresAt and ttlSeconds decides when the entry ends', async () => {
+    reply = { ...reply, expiresAt: new Date(Date.now() + 2 * HOUR).toISOString(), ttlSeconds: 600 };
+    const before = Date.now();
+    await checkPage();
+
+    let entry = cachedEntries()['docs.example.com/guide'];
+    assert.ok(entry.expiresAt >= before + 600 * 1000 && entry.expiresAt <= Date.now() + 600 * 1000);
+    assert.equal(entry.serverExpiry, true);
+
+    const expiresAt = Date.now() + 5 * 60 * 1000;
+    reply = { ...reply, expiresAt, ttlSeconds: 3600 };
+    await env.context.invalidateCachedDecision(PAGE_URL);
+    await checkPage();
+
+    // Stored as a lifetime from the moment it's cached, so it may land a millisecond or two later
+    entry = cachedEntries()['docs.example.com/guide'];
+    assert.ok(entry.expiresAt >= expiresAt && entry.expiresAt - expiresAt < 50);
+    await waitFor(() => env.chrome.alarms.created.cacheExpiry?.when === entry.expiresAt);
+});
+
+test('a decision that has already expired is not cached', () => {
+    const policy = env.context.getCachePolicy({ ...reply, expiresAt: Date.now() - 1000, ttlSeconds: 600 });
+    assert.equal(policy.cache, false);
+});
+
+test('cacheScope none is never cached', async () => {
+    reply = { ...reply, cacheScope: 'none', ttlSeconds: 600 };
+    await checkPage();
+
+    assert.deepEqual(Object.keys(cachedEntries()), []);
+});
+
+test('cacheScope domain caches one decision for the whole site', async () => {
+    reply = { decision: 'BLOCK', reason: 'News', cacheScope: 'domain' };
+    await checkPage(OTHER_URL, 2);
+
+    assert.deepEqual(Object.keys(cachedEntries()), ['domain:news.example.com']);
+    assert.equal((await env.context.getCache('https://www.news.example.com/sports')).decision, 'BLOCK');
+    assert.equal(await env.context.getCache(PAGE_URL), null);
+});
+
+test('when a timed ALLOW ends, only the tabs that relied on it are re-checked', async () => {
+    reply = { ...reply, expiresAt: Date.now() + 200 };
+    await checkPage();
+    assert.ok(cachedEntries()['docs.example.com/guide']);
+    env.chrome.tabs.messages.length = 0;
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    env.chrome.alarms.onAlarm.dispatch({ name: 'cacheExpiry' });
+
+    await waitFor(() => env.chrome.tabs.messages.length > 0);
+    assert.deepEqual(env.chrome.tabs.messages.map(({ tabId, message }) => [tabId, message.type]), [[1, 'REQUEST_PAGE_STATE']]);
+    assert.equal(vm.runInContext('recheckQueue.size', env.context), 0);
+    assert.equal(cachedEntries()['docs.example.com/guide'], undefined);
+});
@@ -0,0 +1,34 @@
+// Keyboard shortcuts: toggle-pause is gated like the popup's pause button
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const LOCAL_CLASSIFIER = { provider: 'ollama', endpoint: 'http://127.0.0.1:11434', model: 'llama3', apiKey: null, goalPrompt: 'Study' };
+
+async function runCommand(env, command) {
+    await Promise.all(env.chrome.commands.onCommand.dispatch(command));
+}
+
+test('toggle-pause pauses and resumes with a local classifier and no Beacon session', async () => {
+    const env = loadBackground({ local: { classifierSettings: LOCAL_CLASSIFIER } });
+    await env.ready;
+
+    await runCommand(env, 'toggle-pause');
+    assert.equal(env.chrome.storage.local.data.blockingPaused, true);
+
+    await runCommand(env, 'toggle-pause');
+    assert.equal(env.chrome.storage.local.data.blockingPaused, false);
+});
+
+test('toggle-pause does nothing without a usable classifier, during strict mode or when the policy disables pausing', async () => {
+    const signedOut = loadBackground();
+    const strict = loadBackground({ local: { authToken: 'test-token', strictModeUntil: Date.now() + 60 * 60 * 1000 } });
+    const managed = loadBackground({ local: { authToken: 'test-token' }, managed: { disablePause: true } });
+
+    for (const env of [signedOut, strict, managed]) {
+        await env.ready;
+        await runCommand(env, 'toggle-pause');
+        assert.equal(env.chrome.storage.local.data.blockingPaused, undefined);
+    }
+});
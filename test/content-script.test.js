@@ -0,0 +1,100 @@
+// Content script: page state reports to the background, and the dashboard bridges
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript } = require('./helpers/load-content-script');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+
+const PAGE_STATE_DELAY_MS = 1200; // Initial 200ms trigger + the 800ms debounce
+
+test('a page reports its URL and title once the debounce has passed', async () => {
+    const page = loadContentScript({ url: 'https://news.example.com/story', title: 'Big story' });
+
+    await new Promise(resolve => setTimeout(resolve, PAGE_STATE_DELAY_MS));
+
+    assert.equal(page.sent.length, 1);
+    assert.equal(page.sent[0].type, 'PAGE_STATE_UPDATE');
+    assert.equal(page.sent[0].data.url, 'https://news.example.com/story');
+    assert.equal(page.sent[0].data.title, 'Big story');
+});
+
+test('extension pages and placeholder titles are not reported', async () => {
+    const extensionPage = loadContentScript({ url: 'chrome-extension://test-extension-id/blocked.html', title: 'Blocked' });
+    const loadingVideo = loadContentScript({ url: 'https://www.youtube.com/watch?v=abc', title: 'YouTube' });
+
+    await new Promise(resolve => setTimeout(resolve, PAGE_STATE_DELAY_MS));
+
+    assert.deepEqual(extensionPage.sent, []);
+    assert.deepEqual(loadingVideo.sent, []);
+});
+
+test('the page state reaches the background, which blocks a blocklisted page', async () => {
+    const url = 'https://videos.example.com/watch/1';
+    const env = loadBackground({ local: { authToken: 'test-token', userBlockList: ['videos.example.com'] }, tabs: [{ id: 4, url }] });
+    await env.ready;
+    loadContentScript({ url, title: 'Video', onMessage: (message) => env.sendMessage(message, { tab: { id: 4 } }) });
+
+    await waitFor(() => env.chrome.tabs.updates.length === 1, { timeout: 3000 });
+    assert.equal(env.chrome.tabs.updates[0].tabId, 4);
+    assert.match(env.chrome.tabs.updates[0].url, /blocked\.html\?url=/);
+});
+
+test('the dashboard gets the install marker and can sync a session', async () => {
+    const page = loadContentScript({ url: 'https://dashboard.beaconblocker.com/settings', title: 'Dashboard' });
+    await page.ready;
+
+    const marker = page.document.getElementById('beacon-extension-status');
+    assert.equal(marker.getAttribute('data-installed'), 'true');
+    assert.equal(marker.getAttribute('data-extension-id'), 'test-extension-id');
+
+    page.dispatchToExtension('BEACON_AUTH_SYNC', { token: 'jwt', email: 'user@example.com' });
+    assert.deepEqual(page.sent.filter(message => message.type === 'SYNC_AUTH').map(message => message.email), ['user@example.com']);
+});
+
+test('a page that only mentions a dashboard host in its URL cannot sync a session', async () => {
+    const page = loadContentScript({ url: 'https://evil.example.com/?next=dashboard.beaconblocker.com', title: 'Phish' });
+    await page.ready;
+
+    page.dispatchToExtension('BEACON_AUTH_SYNC', { token: 'jwt', email: 'attacker@example.com' });
+    assert.equal(page.sent.some(message => message.type === 'SYNC_AUTH'), false);
+});
+
+// Dashboard events that change settings or read the activity log, and the message each one sends
+const TRUSTED_BRIDGES = {
+    BEACON_SITE_LISTS_SYNC: 'SYNC_SITE_LISTS',
+    BEACON_SCHEDULE_SYNC: 'SYNC_SCHEDULE',
+    BEACON_TIME_BUDGETS_SYNC: 'SYNC_TIME_BUDGETS',
+    BEACON_SHORTS_LIMITS_SYNC: 'SYNC_SHORTS_LIMITS',
+    BEACON_FAILURE_POLICY_SYNC: 'SYNC_FAILURE_POLICY',
+    BEACON_PREFETCH_SETTINGS_SYNC: 'SYNC_PREFETCH_SETTINGS',
+    BEACON_EXPORT_BLOCK_LOG: 'EXPORT_BLOCK_LOG',
+    BEACON_IMPORT_BLOCK_LOG: 'IMPORT_BLOCK_LOG'
+};
+
+test('settings and activity log bridges only answer on the dashboard host itself', async () => {
+    const lookalike = loadContentScript({ url: 'https://evil.example.com/?next=dashboard.beaconblocker.com', title: 'Phish' });
+    const dashboard = loadContentScript({ url: 'https://dashboard.beaconblocker.com/settings', title: 'Dashboard' });
+    await Promise.all([lookalike.ready, dashboard.ready]);
+
+    for (const page of [lookalike, dashboard]) {
+        for (const eventType of Object.keys(TRUSTED_BRIDGES)) {
+            page.dispatchToExtension(eventType, {});
+        }
+    }
+
+    assert.deepEqual(lookalike.sent.filter(message => Object.values(TRUSTED_BRIDGES).includes(message.type)), []);
+    assert.deepEqual(dashboard.sent.map(message => message.type), Object.values(TRUSTED_BRIDGES));
+});
+
+test('only the dashboard host itself can report a rule change', async () => {
+    const lookalike = loadContentScript({ url: 'https://evil.example.com/?next=dashboard.beaconblocker.com', title: 'Phish' });
+    const dashboard = loadContentScript({ url: 'https://dashboard.beaconblocker.com/settings', title: 'Dashboard' });
+    await Promise.all([lookalike.ready, dashboard.ready]);
+
+    for (const page of [lookalike, dashboard]) {
+        page.window.dispatchEvent(new CustomEvent('BEACON_RULES_UPDATED'));
+    }
+
+    assert.equal(lookalike.sent.some(message => message.type === 'RULES_UPDATED'), false);
+    assert.equal(dashboard.sent.some(message => message.type === 'RULES_UPDATED'), true);
+});
@@ -0,0 +1,108 @@
+// Decision cache: cacheVersion invalidation, time-sensitive reasons, and clearing the cache
+// without touching anything else in storage
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, cacheEntry } = require('./helpers/load-background');
+const { startFakeBackend } = require('./helpers/fake-backend');
+
+const HOUR = 60 * 60 * 1000;
+
+test('reasons that depend on the clock are recognized', () => {
+    const { isTimeSensitiveReason } = loadBackground().context;
+
+    for (const reason of ['30 minutes left on your break', 'Allowed until 4:33 PM', 'Blocked until 5pm', 'Fine before noon', 'Break timer expired']) {
+        assert.equal(isTimeSensitiveReason(reason), true, reason);
+    }
+    for (const reason of ['Documentation for your project', 'Social media', '', null]) {
+        assert.equal(isTimeSensitiveReason(reason), false, String(reason));
+    }
+});
+
+test('entries from another cacheVersion are not used', async () => {
+    const env = loadBackground({
+        local: {
+            cacheVersion: 2,
+            decisionCache: {
+                entries: {
+                    'old.example.com/page': cacheEntry('BLOCK', { cacheVersion: 1 }),
+                    'new.example.com/page': cacheEntry('BLOCK', { cacheVersion: 2 })
+                },
+                stats: {}
+            }
+        }
+    });
+    await env.ready;
+
+    assert.equal(await env.context.getCache('https://old.example.com/page'), null);
+    assert.equal((await env.context.getCache('https://new.example.com/page')).decision, 'BLOCK');
+});
+
+test('a newer cacheVersion from the backend drops every cached decision', async () => {
+    const backend = await startFakeBackend({
+        'POST /check-url': () => ({ body: { decision: 'ALLOW', reason: 'Documentation', cacheVersion: 3 } })
+    });
+    try {
+        const env = loadBackground({
+            backendUrl: backend.url,
+            local: {
+                authToken: 'test-token',
+                cacheVersion: 2,
+                decisionCache: { entries: { 'old.example.com/page': cacheEntry('BLOCK', { cacheVersion: 2 }) }, stats: {} }
+            },
+            tabs: [{ id: 1, url: 'https://docs.example.com/guide' }]
+        });
+        await env.ready;
+
+        await env.context.handlePageCheck({ url: 'https://docs.example.com/guide', title: 'Guide' }, 1);
+
+        const { cacheVersion, decisionCache } = env.chrome.storage.local.data;
+        assert.equal(cacheVersion, 3);
+        assert.deepEqual(Object.keys(decisionCache.entries), ['docs.example.com/guide']);
+        assert.equal(decisionCache.entries['docs.example.com/guide'].cacheVersion, 3);
+    } finally {
+        await backend.close();
+    }
+});
+
+test('clearing the cache keeps the session, settings, overrides and the activity log', async () => {
+    const until = Date.now() + HOUR;
+    const kept = {
+        authToken: 'test-token',
+        userEmail: 'user@example.com',
+        userBlockList: ['reddit.com'],
+        temporaryAllowances: { 'domain:news.example.com': { until, scope: 'domain', url: 'https://news.example.com/' } },
+        localBlockLog: [{ url: 'https://reddit.com/', decision: 'BLOCK', timestamp: Date.now() }],
+        theme: 'dark'
+    };
+    const env = loadBackground({
+        local: { ...kept, decisionCache: { entries: { 'reddit.com/r/all': cacheEntry('BLOCK') }, stats: {} } }
+    });
+    await env.ready;
+
+    const response = await env.sendMessage({ type: 'CLEAR_LOCAL_CACHE' });
+
+    assert.equal(response.success, true);
+    const data = env.chrome.storage.local.data;
+    assert.deepEqual(Object.keys(data.decisionCache.entries), []);
+    for (const [key, value] of Object.entries(kept)) {
+        assert.deepEqual(data[key], value, key);
+    }
+});
+
+test('clearing the cache is refused during strict mode, also when the dashboard reports a rule change', async () => {
+    const env = loadBackground({
+        local: {
+            authToken: 'test-token',
+            strictModeUntil: Date.now() + HOUR,
+            decisionCache: { entries: { 'reddit.com/r/all': cacheEntry('BLOCK') }, stats: {} }
+        }
+    });
+    await env.ready;
+
+    for (const type of ['CLEAR_LOCAL_CACHE', 'RULES_UPDATED']) {
+        const response = await env.sendMessage({ type });
+        assert.equal(response.success, false, type);
+    }
+    assert.deepEqual(Object.keys(env.chrome.storage.local.data.decisionCache.entries), ['reddit.com/r/all']);
+});
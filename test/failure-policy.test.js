@@ -0,0 +1,56 @@
+// Backend failure policy: local keyword matching, how long /check-url may take before the policy
+// applies, and strict mode only letting the policy get stricter
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+const { startFakeBackend } = require('./helpers/fake-backend');
+
+test('local keyword rules match whole words, including ones with punctuation', () => {
+    const { classifyLocally } = loadBackground().context;
+    const decide = (title, rules) => classifyLocally({ url: 'https://example.com/', title }, rules).decision;
+
+    assert.equal(decide('Learning C++ in a weekend', ['c++']), 'BLOCK');
+    assert.equal(decide('Top games on krunker.io', ['.io']), 'BLOCK');
+    assert.equal(decide('Reddit: the front page', ['reddit']), 'BLOCK');
+    assert.equal(decide('Abc++ compiler notes', ['c++']), 'ALLOW');
+    assert.equal(decide('The iota function', ['.io', 'io']), 'ALLOW');
+    assert.equal(decide('Redditors unite', ['reddit']), 'ALLOW');
+});
+
+test('retries stop at the deadline instead of running every attempt to its timeout', async () => {
+    const backend = await startFakeBackend({ 'POST /check-url': () => new Promise(() => {}) });
+    try {
+        const { fetchWithRetry } = loadBackground().context;
+
+        const started = Date.now();
+        await assert.rejects(fetchWithRetry(`${backend.url}/check-url`, { method: 'POST' }, 2, 300), /Request timeout/);
+        assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+        assert.equal(backend.requests.length, 1);
+    } finally {
+        await backend.close();
+    }
+});
+
+test('during strict mode the policy can only get stricter', async () => {
+    const env = loadBackground({
+        local: {
+            authToken: 'test-token',
+            strictModeUntil: Date.now() + 60 * 60 * 1000,
+            backendFailurePolicy: 'local',
+            localKeywordRules: ['reddit']
+        }
+    });
+    await env.ready;
+    const sync = (policy, keywordRules) => env.sendMessage({ type: 'SYNC_FAILURE_POLICY', policy, keywordRules });
+
+    assert.equal((await sync('open')).success, false);
+    assert.equal((await sync('local', [])).success, false);
+    assert.equal(env.chrome.storage.local.data.backendFailurePolicy, 'local');
+    assert.deepEqual([...env.chrome.storage.local.data.localKeywordRules], ['reddit']);
+
+    assert.equal((await sync('local', ['reddit', 'youtube'])).success, true);
+    assert.equal((await sync('closed')).success, true);
+    assert.equal(env.chrome.storage.local.data.backendFailurePolicy, 'closed');
+    assert.equal((await sync('local')).success, false);
+});
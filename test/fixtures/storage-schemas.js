@@ -0,0 +1,62 @@
+// storage-schemas.js - chrome.storage.local as each older storageSchemaVersion left it
+// Timestamps are relative to `now` so cached decisions are still inside their TTL.
+
+const HOUR = 60 * 60 * 1000;
+
+// v0: before storageSchemaVersion existed. Log entries without decision/domain (plus a malformed
+// one), cache entries as top-level keys, and a Shorts session for a tab that no longer exists.
+function storageV0(now) {
+    return {
+        localBlockLog: [
+            { url: 'https://www.reddit.com/r/all', reason: 'Distracting', timestamp: now - 2 * HOUR },
+            { url: 'https://news.example.com/story', reason: 'Off goal', timestamp: now - HOUR, domain: 'news.example.com' },
+            { url: 'https://docs.example.com/', decision: 'ALLOW', domain: 'docs.example.com', timestamp: now - HOUR },
+            { reason: 'No url', timestamp: now }
+        ],
+        'reddit.com/r/all': { decision: 'BLOCK', reason: 'Distracting', timestamp: now - 2 * HOUR },
+        'docs.example.com': { decision: 'ALLOW', reason: 'Docs', timestamp: now - HOUR },
+        shortsSession_41: { active: true, count: 3, startTime: now - HOUR, visitedUrls: [], platform: 'Shorts' },
+        shortsSession_1: { active: true, count: 1, startTime: now - 60000, visitedUrls: [], platform: 'Shorts' }
+    };
+}
+
+// v1: activity log upgraded; decisionCache exists but holds entries from before expiry/LRU
+// tracking, next to a leftover top-level entry and an invalid one
+function storageV1(now) {
+    return {
+        storageSchemaVersion: 1,
+        localBlockLog: [
+            { url: 'https://www.reddit.com/r/all', reason: 'Distracting', timestamp: now - 2 * HOUR, decision: 'BLOCK', domain: 'reddit.com' }
+        ],
+        decisionCache: {
+            entries: {
+                'reddit.com/r/all': { decision: 'BLOCK', reason: 'Distracting', timestamp: now - 2 * HOUR },
+                'broken.example.com': { decision: 'MAYBE', timestamp: now }
+            },
+            stats: { hits: 4, misses: 2, evictions: 0, expirations: 0, since: now - 24 * HOUR }
+        },
+        'docs.example.com': { decision: 'ALLOW', reason: 'Docs', timestamp: now - HOUR },
+        shortsSession_41: { active: true, count: 3, startTime: now - HOUR, visitedUrls: [], platform: 'Reels' }
+    };
+}
+
+// v2: only the orphaned Shorts session cleanup is missing
+function storageV2(now) {
+    return {
+        storageSchemaVersion: 2,
+        localBlockLog: [],
+        decisionCache: {
+            entries: {
+                'reddit.com/r/all': {
+                    decision: 'BLOCK', reason: 'Distracting', timestamp: now - HOUR, lastAccess: now - HOUR,
+                    expiresAt: now + HOUR, cacheVersion: null
+                }
+            },
+            stats: { hits: 0, misses: 0, evictions: 0, expirations: 0, since: now - HOUR }
+        },
+        shortsSession_41: { active: true, count: 3, startTime: now - HOUR, visitedUrls: [], platform: 'TikTok' },
+        shortsSession_1: { active: true, count: 1, startTime: now - 60000, visitedUrls: [], platform: 'Shorts' }
+    };
+}
+
+module.exports = { storageV0, storageV1, storageV2 };
@@ -0,0 +1,44 @@
+// fake-backend.js - Local HTTP stand-in for the Beacon backend
+// Routes map "METHOD /path" to a handler (request) => { status, body }; every request is
+// recorded with its parsed JSON body.
+
+const http = require('node:http');
+
+async function startFakeBackend(routes = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            let body = null;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch (e) {
+                body = raw;
+            }
+            const request = { method: req.method, path: req.url, headers: req.headers, body };
+            requests.push(request);
+
+            const handler = routes[`${req.method} ${req.url}`];
+            const reply = handler ? await handler(request) : { status: 404, body: { error: 'Not found' } };
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body ?? {}));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        routes,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = { startFakeBackend };
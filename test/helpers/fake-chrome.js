@@ -0,0 +1,177 @@
+// fake-chrome.js - In-memory stand-in for the chrome.* APIs background.js uses
+// Only what the tests need: storage (local + managed), tabs, alarms, action, runtime,
+// commands, windows and declarativeNetRequest. Calls are recorded for assertions.
+
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener: (listener) => listeners.push(listener),
+        removeListener: (listener) => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        },
+        dispatch: (...args) => listeners.map(listener => listener(...args))
+    };
+}
+
+const clone = (value) => value === undefined ? undefined : structuredClone(value);
+
+// Supports both the promise and the callback form of the chrome APIs
+function respond(promise, callback) {
+    if (typeof callback === 'function') {
+        promise.then(callback);
+        return undefined;
+    }
+    return promise;
+}
+
+function createStorageArea(areaName, data, onChanged) {
+    return {
+        data,
+        get(keys, callback) {
+            let result = {};
+            if (keys === null || keys === undefined) {
+                result = clone(data);
+            } else if (typeof keys === 'object' && !Array.isArray(keys)) {
+                for (const [key, fallback] of Object.entries(keys)) result[key] = key in data ? clone(data[key]) : fallback;
+            } else {
+                for (const key of [].concat(keys)) if (key in data) result[key] = clone(data[key]);
+            }
+            return respond(Promise.resolve(result), callback);
+        },
+        set(items, callback) {
+            const changes = {};
+            for (const [key, value] of Object.entries(items)) {
+                changes[key] = { oldValue: data[key], newValue: clone(value) };
+                data[key] = clone(value);
+            }
+            onChanged.dispatch(changes, areaName);
+            return respond(Promise.resolve(), callback);
+        },
+        remove(keys, callback) {
+            const changes = {};
+            for (const key of [].concat(keys)) {
+                if (key in data) {
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                }
+            }
+            if (Object.keys(changes).length > 0) onChanged.dispatch(changes, areaName);
+            return respond(Promise.resolve(), callback);
+        },
+        getBytesInUse(keys, callback) {
+            return respond(Promise.resolve(JSON.stringify(data).length), callback);
+        }
+    };
+}
+
+// local / managed: initial storage contents. tabs: [{ id, url, active }]
+function createFakeChrome({ local = {}, managed = {}, tabs = [] } = {}) {
+    const onChanged = createEvent();
+
+    const fakeTabs = {
+        list: clone(tabs),
+        updates: [],
+        created: [],
+        messages: [],
+        async query(queryInfo = {}) {
+            return fakeTabs.list.filter(tab => !queryInfo.active || tab.active);
+        },
+        async get(tabId) {
+            const tab = fakeTabs.list.find(t => t.id === tabId);
+            if (!tab) throw new Error(`No tab with id: ${tabId}`);
+            return tab;
+        },
+        async update(tabId, properties) {
+            fakeTabs.updates.push({ tabId, ...properties });
+            const tab = fakeTabs.list.find(t => t.id === tabId);
+            if (tab && properties.url) tab.url = properties.url;
+            return tab || {};
+        },
+        async create(properties) {
+            fakeTabs.created.push(properties);
+            return { id: 1000 + fakeTabs.created.length, ...properties };
+        },
+        sendMessage(tabId, message) {
+            fakeTabs.messages.push({ tabId, message });
+            return Promise.resolve();
+        },
+        onUpdated: createEvent(),
+        onRemoved: createEvent(),
+        onActivated: createEvent()
+    };
+
+    const fakeAlarms = {
+        created: {},
+        create(name, info) {
+            fakeAlarms.created[name] = { name, ...info };
+        },
+        async get(name) {
+            return fakeAlarms.created[name];
+        },
+        async getAll() {
+            return Object.values(fakeAlarms.created);
+        },
+        async clear(name) {
+            const existed = name in fakeAlarms.created;
+            delete fakeAlarms.created[name];
+            return existed;
+        },
+        onAlarm: createEvent()
+    };
+
+    const fakeRules = {
+        rules: [],
+        updates: [],
+        async getDynamicRules() {
+            return clone(fakeRules.rules);
+        },
+        // Like Chrome, an update that would go past the regex rule limit is rejected as a whole
+        MAX_NUMBER_OF_REGEX_RULES: 1000,
+        async updateDynamicRules({ removeRuleIds = [], addRules = [] }) {
+            fakeRules.updates.push(clone({ removeRuleIds, addRules }));
+            const rules = fakeRules.rules.filter(rule => !removeRuleIds.includes(rule.id)).concat(clone(addRules));
+            if (rules.length > fakeRules.MAX_NUMBER_OF_REGEX_RULES) {
+                throw new Error(`Dynamic rule count exceeds the ${fakeRules.MAX_NUMBER_OF_REGEX_RULES} regex rule limit`);
+            }
+            fakeRules.rules = rules;
+        }
+    };
+
+    return {
+        storage: {
+            local: createStorageArea('local', clone(local), onChanged),
+            managed: createStorageArea('managed', clone(managed), onChanged),
+            onChanged
+        },
+        tabs: fakeTabs,
+        alarms: fakeAlarms,
+        declarativeNetRequest: fakeRules,
+        action: {
+            badge: { text: '', title: '' },
+            async setBadgeText({ text }) { this.badge.text = text; },
+            async setBadgeBackgroundColor() {},
+            async setTitle({ title }) { this.badge.title = title; }
+        },
+        runtime: {
+            id: 'test-extension-id',
+            lastError: null,
+            getURL: (path) => `chrome-extension://test-extension-id/${path}`,
+            getManifest: () => ({ name: 'Beacon Blocker', version: '1.0.4' }),
+            sendMessage() {},
+            onMessage: createEvent(),
+            onMessageExternal: createEvent(),
+            onInstalled: createEvent(),
+            onStartup: createEvent()
+        },
+        commands: { onCommand: createEvent() },
+        windows: {
+            WINDOW_ID_NONE: -1,
+            async getLastFocused() { return { id: 1, focused: true }; },
+            onFocusChanged: createEvent()
+        }
+    };
+}
+
+module.exports = { createFakeChrome };
@@ -0,0 +1,86 @@
+// load-background.js - Runs config.js + background.js as a service worker would, in a fresh
+// vm context with a fake chrome.* and the real fetch (point backendUrl at a fake backend).
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createFakeChrome } = require('./fake-chrome');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const quietConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+// options: { local, managed, tabs, backendUrl, console }
+function loadBackground(options = {}) {
+    const local = { ...options.local };
+    if (options.backendUrl) {
+        local.runtimeConfig = { ...local.runtimeConfig, backendUrl: options.backendUrl };
+    }
+    const chrome = createFakeChrome({ local, managed: options.managed, tabs: options.tabs });
+
+    const context = vm.createContext({
+        chrome,
+        console: options.console || quietConsole,
+        fetch,
+        AbortController,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        Blob,
+        atob,
+        btoa,
+        crypto: globalThis.crypto,
+        structuredClone,
+        setTimeout,
+        clearTimeout,
+        // Periodic flushes would keep the test process alive
+        setInterval: () => 0,
+        clearInterval() {}
+    });
+    context.self = context;
+    context.importScripts = (...files) => {
+        for (const file of files) {
+            vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+        }
+    };
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+    // Resolves with the listener's response, or undefined when no listener answers
+    function dispatchMessage(event, message, sender) {
+        return new Promise(resolve => {
+            let answered = false;
+            const reply = (response) => {
+                answered = true;
+                resolve(response);
+            };
+            const results = event.dispatch(message, sender, reply);
+            if (!results.includes(true) && !answered) resolve(undefined);
+        });
+    }
+    const sendMessage = (message, sender = {}) => dispatchMessage(chrome.runtime.onMessage, message, sender);
+    // From a web page listed in manifest "externally_connectable" (sender.url is the page)
+    const sendExternalMessage = (message, sender = {}) => dispatchMessage(chrome.runtime.onMessageExternal, message, sender);
+
+    // stateReady: auth, site lists, classifier and managed policy are loaded
+    const ready = vm.runInContext('stateReady', context);
+
+    return { chrome, context, ready, sendMessage, sendExternalMessage };
+}
+
+// Polls until predicate() is truthy - background work is mostly fire-and-forget
+async function waitFor(predicate, { timeout = 2000, interval = 10 } = {}) {
+    const start = Date.now();
+    while (!(await predicate())) {
+        if (Date.now() - start > timeout) throw new Error('waitFor timed out');
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+// A live decisionCache entry, as setCache() stores it - pass local.decisionCache.entries
+function cacheEntry(decision, extra = {}) {
+    const now = Date.now();
+    return { decision, reason: `${decision} reason`, timestamp: now, lastAccess: now, expiresAt: now + 60 * 60 * 1000, cacheVersion: null, ...extra };
+}
+
+module.exports = { loadBackground, waitFor, cacheEntry };
@@ -0,0 +1,102 @@
+// load-content-script.js - Runs config.js + content-script.js as Chrome injects them (manifest
+// "content_scripts"), in a vm context with a minimal page: window and document are EventTargets,
+// and only the DOM calls the script makes are implemented.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createFakeChrome } = require('./fake-chrome');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const quietConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+function createElement(tagName) {
+    const attributes = {};
+    return {
+        tagName: tagName.toUpperCase(),
+        id: '',
+        style: {},
+        children: [],
+        attributes,
+        setAttribute(name, value) { attributes[name] = String(value); },
+        getAttribute(name) { return name in attributes ? attributes[name] : null; },
+        appendChild(child) { this.children.push(child); return child; }
+    };
+}
+
+function createDocument(title) {
+    const document = new EventTarget();
+    const body = createElement('body');
+    Object.assign(document, {
+        title,
+        visibilityState: 'visible',
+        body,
+        documentElement: createElement('html'),
+        createElement,
+        getElementById: (id) => body.children.find(child => child.id === id) || null,
+        querySelector: () => null,
+        querySelectorAll: () => []
+    });
+    return document;
+}
+
+class FakeObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+}
+
+// options: { url, title, local, managed, onMessage, console }
+// onMessage(message) answers chrome.runtime.sendMessage - e.g. a loaded background's sendMessage
+function loadContentScript(options = {}) {
+    const chrome = createFakeChrome({ local: options.local, managed: options.managed });
+    const sent = [];
+    chrome.runtime.sendMessage = (message, callback) => {
+        sent.push(message);
+        Promise.resolve(options.onMessage?.(message)).then(response => callback?.(response));
+    };
+
+    const window = new EventTarget();
+    window.location = new URL(options.url || 'https://example.com/');
+    const document = createDocument(options.title ?? 'Example page');
+
+    const context = vm.createContext({
+        chrome,
+        window,
+        document,
+        console: options.console || quietConsole,
+        URL,
+        CustomEvent,
+        Element: class {},
+        MutationObserver: FakeObserver,
+        IntersectionObserver: FakeObserver,
+        setTimeout,
+        clearTimeout
+    });
+    for (const file of ['config.js', 'content-script.js']) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+
+    // Dashboard bridges are set up once the runtime config has loaded
+    const ready = vm.runInContext('configReady', context).then(() => new Promise(resolve => setTimeout(resolve, 0)));
+
+    // What the dashboard page does: fire a CustomEvent on document, wait for the response on window
+    function dispatchToExtension(eventType, detail) {
+        document.dispatchEvent(new CustomEvent(eventType, { detail }));
+    }
+
+    function nextWindowEvent(eventType, { timeout = 1000 } = {}) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`No ${eventType} event`)), timeout);
+            window.addEventListener(eventType, (event) => {
+                clearTimeout(timer);
+                resolve(event.detail);
+            }, { once: true });
+        });
+    }
+
+    return { chrome, context, window, document, sent, ready, dispatchToExtension, nextWindowEvent };
+}
+
+module.exports = { loadContentScript };
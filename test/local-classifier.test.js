@@ -0,0 +1,63 @@
+// Self-hosted classifiers: without a Beacon session they still get every handler that only needs
+// local data, and any error status they return counts as an outage
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+const { startFakeBackend } = require('./helpers/fake-backend');
+
+const LOCAL_CLASSIFIER = {
+    provider: 'ollama',
+    endpoint: 'http://127.0.0.1:11434',
+    model: 'llama3',
+    apiKey: null,
+    goalPrompt: 'Finish the thesis'
+};
+
+test('local classifier mode answers local-data messages without signing in', async () => {
+    const env = loadBackground({ local: { classifierSettings: LOCAL_CLASSIFIER } });
+    await env.ready;
+
+    const pause = await env.sendMessage({ type: 'GET_PAUSE_STATE' });
+    assert.equal(pause.paused, false);
+
+    const summary = await env.sendMessage({ type: 'GET_ACTIVITY_SUMMARY', days: 7 });
+    assert.equal(summary.success, true);
+
+    const cleared = await env.sendMessage({ type: 'CLEAR_LOCAL_CACHE' });
+    assert.equal(cleared.success, true);
+});
+
+test('without a session or a local classifier those messages get no answer', async () => {
+    const env = loadBackground();
+    await env.ready;
+
+    assert.equal(await env.sendMessage({ type: 'GET_PAUSE_STATE' }), undefined);
+});
+
+test('any error status from a self-hosted classifier applies the failure policy', async (t) => {
+    const backend = await startFakeBackend({
+        'POST /api/chat': () => ({ status: 404, body: { error: 'model "llama3" not found' } }),
+        'POST /chat/completions': () => ({ status: 401, body: { error: 'Invalid API key' } })
+    });
+    t.after(() => backend.close());
+
+    for (const provider of ['ollama', 'openai']) {
+        const env = loadBackground({
+            local: {
+                classifierSettings: { ...LOCAL_CLASSIFIER, provider, endpoint: backend.url },
+                backendFailurePolicy: 'closed'
+            },
+            tabs: [{ id: 1, url: 'https://docs.example.com/guide', active: true }]
+        });
+        await env.ready;
+
+        await env.context.handlePageCheck({ url: 'https://docs.example.com/guide', title: 'Guide' }, 1);
+
+        await waitFor(() => env.chrome.tabs.updates.length === 1);
+        const { backendStatus } = env.chrome.storage.local.data;
+        assert.equal(backendStatus.degraded, true, provider);
+        assert.match(backendStatus.lastError, /Classifier error: 40[14]/);
+    }
+    assert.equal(backend.requests.length, 2);
+});
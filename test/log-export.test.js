@@ -0,0 +1,106 @@
+// Activity log export / import: JSON and CSV round trips, CSV quoting and formula escaping,
+// duplicates and the retention window
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Values from the vm context have its prototypes, so compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+function logEntry(url, ageMs, extra = {}) {
+    return {
+        url,
+        domain: new URL(url).hostname,
+        reason: 'Off goal',
+        decision: 'BLOCK',
+        pageTitle: 'Page',
+        activePrompt: 'Finish the thesis',
+        timestamp: Date.now() - ageMs,
+        ...extra
+    };
+}
+
+const LOG = [
+    logEntry('https://reddit.com/r/all', DAY),
+    logEntry('https://docs.example.com/guide', 10 * DAY, { decision: 'ALLOW', reason: 'Documentation', degraded: true }),
+    logEntry('https://videos.example.com/watch/1', 40 * DAY, { decision: 'OVERRIDE', activePrompt: null })
+];
+
+async function exportFrom(log, format) {
+    const env = loadBackground({ local: { localBlockLog: log } });
+    await env.ready;
+    const exported = await env.context.exportBlockLog({ format });
+    assert.equal(exported.success, true);
+    return exported.content;
+}
+
+async function importInto(content, local = {}) {
+    const env = loadBackground({ local });
+    await env.ready;
+    const response = await env.context.importBlockLog(content);
+    return { env, response, log: plain(env.chrome.storage.local.data.localBlockLog || []) };
+}
+
+test('a JSON export imports back into an empty log unchanged', async () => {
+    const { response, log } = await importInto(await exportFrom(LOG, 'json'));
+
+    assert.equal(response.imported, 3);
+    assert.deepEqual(log, LOG);
+});
+
+test('a CSV export imports back into an empty log unchanged', async () => {
+    const { response, log } = await importInto(await exportFrom(LOG, 'csv'));
+
+    assert.equal(response.imported, 3);
+    assert.equal(response.invalid, 0);
+    assert.deepEqual(log, LOG);
+});
+
+test('CSV cells with commas, quotes, newlines and formulas survive the round trip', async () => {
+    const tricky = [logEntry('https://news.example.com/a,b?q="x"', DAY, {
+        pageTitle: 'Breaking, "live"\nsecond line',
+        reason: '=HYPERLINK("https://evil.example.com")',
+        activePrompt: '-5 minutes of news\r\nthen work'
+    })];
+    const csv = await exportFrom(tricky, 'csv');
+
+    // Formulas are neutralized with a leading apostrophe inside the quoted cell
+    assert.ok(csv.includes(`"'=HYPERLINK(""https://evil.example.com"")"`));
+    assert.ok(csv.includes(`"'-5 minutes of news\r\nthen work"`));
+
+    const { log } = await importInto(csv);
+    assert.deepEqual(log, tricky);
+});
+
+test('parseCsv handles quoted separators, escaped quotes, CRLF and blank lines', () => {
+    const { parseCsv } = loadBackground().context;
+
+    const rows = parseCsv('a,"b,c","say ""hi"""\r\n\r\n"multi\nline",,end\n');
+    assert.deepEqual(plain(rows), [['a', 'b,c', 'say "hi"'], ['multi\nline', '', 'end']]);
+});
+
+test('entries already in the log (same timestamp and url) are skipped', async () => {
+    const content = await exportFrom(LOG, 'json');
+    const { env, response } = await importInto(content, { localBlockLog: [LOG[0]] });
+    assert.equal(response.imported, 2);
+    assert.equal(response.duplicates, 1);
+
+    const again = await env.context.importBlockLog(content);
+    assert.equal(again.imported, 0);
+    assert.equal(again.duplicates, 3);
+    assert.equal(again.total, 3);
+});
+
+test('entries older than the retention window are not imported', async () => {
+    const { response, log } = await importInto(await exportFrom(LOG, 'csv'), {
+        autoDeleteActivityLog: true,
+        activityLogRetention: 30
+    });
+
+    assert.equal(response.imported, 2);
+    assert.equal(response.expired, 1);
+    assert.deepEqual(log.map(entry => entry.url), ['https://reddit.com/r/all', 'https://docs.example.com/guide']);
+});
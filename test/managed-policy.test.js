@@ -0,0 +1,49 @@
+// Managed blocklist: a "Continue anyway" allowance can't lift what the administrator blocked
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+
+const HOUR = 60 * 60 * 1000;
+const BLOCKED_PAGE = 'chrome-extension://test-extension-id/blocked.html';
+const MANAGED_URL = 'https://games.example.com/play';
+
+async function loadManaged(local = {}) {
+    const env = loadBackground({
+        local: { authToken: 'test-token', ...local },
+        managed: { blockList: ['games.example.com'] },
+        tabs: [{ id: 1, url: MANAGED_URL, active: true }]
+    });
+    await env.ready;
+    return env;
+}
+
+test('an override is refused for a page on the managed blocklist', async () => {
+    const env = await loadManaged();
+    await env.context.blockFromSiteList(1, MANAGED_URL, 'Play', 'games.example.com');
+    await waitFor(() => env.chrome.tabs.updates.length === 1);
+
+    const blockContext = await env.sendMessage({ type: 'GET_BLOCK_CONTEXT', url: MANAGED_URL }, { tab: { id: 1 } });
+    assert.equal(blockContext.context.managed, true);
+
+    const response = await env.sendMessage(
+        { type: 'GRANT_OVERRIDE', url: MANAGED_URL, justification: 'Need it', minutes: 15, scope: 'domain' },
+        { tab: { id: 1 }, url: `${BLOCKED_PAGE}?url=${encodeURIComponent(MANAGED_URL)}` }
+    );
+    assert.equal(response.success, false);
+    assert.equal(env.chrome.storage.local.data.temporaryAllowances, undefined);
+});
+
+test('a stored allowance does not let a managed block through', async () => {
+    const env = await loadManaged({
+        temporaryAllowances: { 'domain:games.example.com': { until: Date.now() + HOUR, scope: 'domain', url: MANAGED_URL } }
+    });
+
+    await env.context.handlePageStateUpdate(
+        { type: 'PAGE_STATE_UPDATE', data: { url: MANAGED_URL, title: 'Play' } },
+        { tab: { id: 1 } }
+    );
+
+    await waitFor(() => env.chrome.tabs.updates.length === 1);
+    assert.equal(env.chrome.tabs.updates[0].url, `${BLOCKED_PAGE}?url=${encodeURIComponent(MANAGED_URL)}`);
+});
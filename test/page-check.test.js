@@ -0,0 +1,147 @@
+// Page checks against a local stand-in for /check-url: ALLOW, BLOCK, cache hits and blockPage()
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+const { startFakeBackend } = require('./helpers/fake-backend');
+
+const BLOCKED_PAGE = 'chrome-extension://test-extension-id/blocked.html';
+const ALLOWED_URL = 'https://docs.example.com/guide';
+const BLOCKED_URL = 'https://videos.example.com/watch/123';
+
+let backend;
+let env;
+
+beforeEach(async () => {
+    backend = await startFakeBackend({
+        'POST /check-url': ({ body }) => ({
+            body: body.url === BLOCKED_URL
+                ? { decision: 'BLOCK', reason: 'Not part of your goal', activePrompt: 'Study' }
+                : { decision: 'ALLOW', reason: 'Documentation' }
+        })
+    });
+    env = loadBackground({
+        backendUrl: backend.url,
+        local: { authToken: 'test-token', logAllowDecisions: true },
+        tabs: [{ id: 1, url: ALLOWED_URL, active: true }, { id: 2, url: BLOCKED_URL }]
+    });
+    await env.ready;
+});
+
+afterEach(async () => {
+    await backend.close();
+});
+
+function getStored(key) {
+    return env.chrome.storage.local.data[key];
+}
+
+test('handlePageCheck caches an ALLOW decision and leaves the tab alone', async () => {
+    await env.context.handlePageCheck({ url: ALLOWED_URL, title: 'Guide' }, 1);
+
+    assert.equal(backend.requests.length, 1);
+    assert.equal(backend.requests[0].headers.authorization, 'Bearer test-token');
+    assert.deepEqual(env.chrome.tabs.updates, []);
+    assert.equal(getStored('decisionCache').entries['docs.example.com/guide'].decision, 'ALLOW');
+    await waitFor(() => getStored('localBlockLog')?.length === 1);
+    assert.equal(getStored('localBlockLog')[0].decision, 'ALLOW');
+});
+
+test('handlePageCheck redirects a BLOCK decision to blocked.html and logs it', async () => {
+    await env.context.handlePageCheck({ url: BLOCKED_URL, title: 'Video' }, 2);
+
+    await waitFor(() => env.chrome.tabs.updates.length === 1);
+    assert.deepEqual(env.chrome.tabs.updates[0], {
+        tabId: 2,
+        url: `${BLOCKED_PAGE}?url=${encodeURIComponent(BLOCKED_URL)}`
+    });
+    assert.equal(getStored('decisionCache').entries['videos.example.com/watch/123'].decision, 'BLOCK');
+    await waitFor(() => getStored('localBlockLog')?.length === 1);
+    assert.equal(getStored('localBlockLog')[0].reason, 'Not part of your goal');
+});
+
+test('a cached BLOCK decision blocks the next visit without asking the backend', async () => {
+    await env.context.handlePageCheck({ url: BLOCKED_URL, title: 'Video' }, 2);
+    await waitFor(() => env.chrome.tabs.updates.length === 1);
+
+    env.chrome.tabs.list.push({ id: 3, url: BLOCKED_URL });
+    await env.sendMessage(
+        { type: 'PAGE_STATE_UPDATE', data: { url: BLOCKED_URL, title: 'Video' } },
+        { tab: { id: 3 } }
+    );
+
+    await waitFor(() => env.chrome.tabs.updates.length === 2);
+    assert.equal(env.chrome.tabs.updates[1].tabId, 3);
+    assert.equal(backend.requests.length, 1);
+});
+
+function startLoading(tabId, url) {
+    return Promise.all(env.chrome.tabs.onUpdated.dispatch(tabId, { status: 'loading', url }, { id: tabId, url }));
+}
+
+test('a prefetched BLOCK blocks while loading and the tab goes back once the page check allows it', async () => {
+    await env.context.setCache(ALLOWED_URL, { decision: 'BLOCK', reason: 'Link text looked off-goal', prefetched: true });
+
+    await startLoading(1, ALLOWED_URL);
+
+    assert.equal(env.chrome.tabs.updates[0].url, `${BLOCKED_PAGE}?url=${encodeURIComponent(ALLOWED_URL)}`);
+    await waitFor(() => env.chrome.tabs.updates.length === 2);
+    assert.deepEqual(env.chrome.tabs.updates[1], { tabId: 1, url: ALLOWED_URL });
+    assert.equal(backend.requests.length, 1);
+    const entry = getStored('decisionCache').entries['docs.example.com/guide'];
+    assert.equal(entry.decision, 'ALLOW');
+    assert.equal(entry.prefetched, undefined);
+});
+
+test('a prefetched BLOCK the page check agrees with stays blocked', async () => {
+    await env.context.setCache(BLOCKED_URL, { decision: 'BLOCK', reason: 'Link text looked off-goal', prefetched: true });
+
+    await startLoading(2, BLOCKED_URL);
+
+    await waitFor(() => backend.requests.length === 1);
+    await waitFor(() => !getStored('decisionCache').entries['videos.example.com/watch/123'].prefetched);
+    assert.equal(env.chrome.tabs.updates.length, 1);
+});
+
+test('blockPage redirects the tab and keeps the context for blocked.html', async () => {
+    await env.context.blockPage(2, BLOCKED_URL, { reason: 'On your blocklist', pageTitle: 'Video' });
+
+    assert.deepEqual(env.chrome.tabs.updates, [
+        { tabId: 2, url: `${BLOCKED_PAGE}?url=${encodeURIComponent(BLOCKED_URL)}` }
+    ]);
+    const response = await env.sendMessage({ type: 'GET_BLOCK_CONTEXT', url: BLOCKED_URL }, { tab: { id: 2 } });
+    assert.equal(response.success, true);
+    assert.equal(response.context.reason, 'On your blocklist');
+    assert.equal(response.context.domain, 'videos.example.com');
+    assert.equal(getStored('dailyBlockCount').count, 1);
+});
+
+test('blockPage does nothing while blocking is paused', async () => {
+    await env.chrome.storage.local.set({ blockingPaused: true });
+
+    await env.context.blockPage(2, BLOCKED_URL, { reason: 'On your blocklist' });
+
+    assert.deepEqual(env.chrome.tabs.updates, []);
+});
+
+test('a 4xx from /check-url leaves the page unchecked instead of applying the failure policy', async () => {
+    await env.chrome.storage.local.set({ backendFailurePolicy: 'closed' });
+    backend.routes['POST /check-url'] = () => ({ status: 429, body: { error: 'Too many requests' } });
+
+    await env.context.handlePageCheck({ url: BLOCKED_URL, title: 'Video' }, 2);
+
+    assert.deepEqual(env.chrome.tabs.updates, []);
+    assert.equal(getStored('backendStatus'), undefined);
+});
+
+test('a 5xx from /check-url applies the failure policy and flags the backend as degraded', async () => {
+    await env.chrome.storage.local.set({ backendFailurePolicy: 'closed' });
+    backend.routes['POST /check-url'] = () => ({ status: 503, body: { error: 'Unavailable' } });
+
+    await env.context.handlePageCheck({ url: ALLOWED_URL, title: 'Guide' }, 1);
+
+    await waitFor(() => env.chrome.tabs.updates.length === 1);
+    assert.equal(env.chrome.tabs.updates[0].tabId, 1);
+    assert.equal(getStored('backendStatus').degraded, true);
+    assert.equal(getStored('decisionCache').entries['docs.example.com/guide'], undefined);
+});
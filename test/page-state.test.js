@@ -0,0 +1,73 @@
+// PAGE_STATE_UPDATE handling: one update per tab at a time, and the same URL isn't re-checked
+// within PROCESSING_COOLDOWN_MS
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+const { startFakeBackend } = require('./helpers/fake-backend');
+
+const URL_A = 'https://docs.example.com/guide';
+
+let backend;
+let env;
+
+beforeEach(async () => {
+    backend = await startFakeBackend({
+        // A time-sensitive reason is never cached, so only the cooldown stops a second request
+        'POST /check-url': () => ({ body: { decision: 'ALLOW', reason: 'Allowed for the next 30 minutes' } })
+    });
+    env = loadBackground({
+        backendUrl: backend.url,
+        local: { authToken: 'test-token' },
+        tabs: [{ id: 1, url: URL_A, active: true }, { id: 2, url: URL_A }]
+    });
+    await env.ready;
+});
+
+afterEach(async () => {
+    await backend.close();
+});
+
+function pageState(url, title) {
+    return { type: 'PAGE_STATE_UPDATE', data: { url, title } };
+}
+
+test('updates for the same tab run one at a time and the lock is released afterwards', async () => {
+    const tabLocks = vm.runInContext('tabLocks', env.context);
+
+    const first = env.context.handlePageStateUpdate(pageState(URL_A, 'Guide'), { tab: { id: 1 } });
+    assert.equal(tabLocks.has(1), true);
+    const second = env.context.handlePageStateUpdate(pageState(URL_A, 'Guide'), { tab: { id: 1 } });
+    await Promise.all([first, second]);
+
+    assert.equal(tabLocks.size, 0);
+    await waitFor(() => backend.requests.length === 1);
+    // The second update waited for the first and saw the same URL and title
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(backend.requests.length, 1);
+});
+
+test('the same URL in another tab is not re-checked within the cooldown', async () => {
+    await env.context.handlePageStateUpdate(pageState(URL_A, 'Guide'), { tab: { id: 1 } });
+    await waitFor(() => backend.requests.length === 1);
+    assert.equal(env.chrome.storage.local.data.decisionCache?.entries?.['docs.example.com/guide'], undefined);
+
+    await env.context.handlePageStateUpdate(pageState(URL_A, 'Guide'), { tab: { id: 2 } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(backend.requests.length, 1);
+
+    // A re-check (rules changed, allowance ended) bypasses the cooldown
+    env.context.recheckTab(2, URL_A);
+    await env.context.handlePageStateUpdate(pageState(URL_A, 'Guide'), { tab: { id: 2 } });
+    await waitFor(() => backend.requests.length === 2);
+});
+
+test('pages are not checked at all while blocking is paused', async () => {
+    await env.chrome.storage.local.set({ blockingPaused: true });
+
+    await env.context.handlePageStateUpdate(pageState(URL_A, 'Guide'), { tab: { id: 1 } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(backend.requests.length, 0);
+});
@@ -0,0 +1,103 @@
+// Timed pauses: validating durationMinutes / until, resuming from PAUSE_RESUME_ALARM, and a pause
+// that ran out while the browser was closed
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+
+const MINUTE = 60 * 1000;
+const LOCAL_CLASSIFIER = { provider: 'ollama', endpoint: 'http://127.0.0.1:11434', model: 'llama3', apiKey: null, goalPrompt: 'Study' };
+
+async function loadPausable(local = {}) {
+    const env = loadBackground({ local: { classifierSettings: LOCAL_CLASSIFIER, ...local } });
+    await env.ready;
+    return env;
+}
+
+function pause(env, options) {
+    return env.sendMessage({ type: 'SYNC_PAUSE', paused: true, ...options });
+}
+
+test('a pause for durationMinutes resumes on its own after that long', async () => {
+    const env = await loadPausable();
+    const before = Date.now();
+
+    const response = await pause(env, { durationMinutes: 30 });
+
+    assert.equal(response.success, true);
+    assert.ok(response.pausedUntil >= before + 30 * MINUTE && response.pausedUntil <= Date.now() + 30 * MINUTE);
+    assert.equal(env.chrome.alarms.created.pauseResume.when, response.pausedUntil);
+    const state = await env.sendMessage({ type: 'GET_PAUSE_STATE' });
+    assert.equal(state.paused, true);
+    assert.equal(state.pausedUntil, response.pausedUntil);
+});
+
+test('durations that are not a positive number of minutes up to a day are refused', async () => {
+    const env = await loadPausable();
+
+    for (const durationMinutes of [0, -5, 'soon', 24 * 60 + 1]) {
+        const response = await pause(env, { durationMinutes });
+        assert.equal(response.success, false, String(durationMinutes));
+        assert.equal(response.error, 'Invalid pause duration');
+    }
+    assert.equal(env.chrome.storage.local.data.blockingPaused, undefined);
+    assert.equal(env.chrome.alarms.created.pauseResume, undefined);
+});
+
+test('a pause until a time accepts a timestamp or a date string within the next day', async () => {
+    const env = await loadPausable();
+
+    const until = new Date(Date.now() + 2 * 60 * MINUTE);
+    until.setMilliseconds(0);
+    const response = await pause(env, { until: until.toISOString() });
+    assert.equal(response.success, true);
+    assert.equal(env.chrome.storage.local.data.pausedUntil, until.getTime());
+
+    for (const invalid of [Date.now() - MINUTE, Date.now() + 25 * 60 * MINUTE, 'tomorrow-ish']) {
+        const refused = await pause(env, { until: invalid });
+        assert.equal(refused.success, false, String(invalid));
+        assert.equal(refused.error, 'Invalid pause end time');
+    }
+    // A refused request leaves the current pause alone
+    assert.equal(env.chrome.storage.local.data.pausedUntil, until.getTime());
+});
+
+test('the resume alarm ends the pause once pausedUntil has passed', async () => {
+    const env = await loadPausable();
+    await pause(env, { until: Date.now() + 100 });
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    env.chrome.alarms.onAlarm.dispatch({ name: 'pauseResume' });
+
+    await waitFor(() => env.chrome.storage.local.data.blockingPaused === false);
+    assert.equal(env.chrome.storage.local.data.pausedUntil, undefined);
+    assert.equal(await env.context.isBlockingPaused(), false);
+});
+
+test('an alarm that fires early keeps the pause and re-arms', async () => {
+    const env = await loadPausable();
+    const { pausedUntil } = await pause(env, { durationMinutes: 10 });
+    await env.chrome.alarms.clear('pauseResume');
+
+    env.chrome.alarms.onAlarm.dispatch({ name: 'pauseResume' });
+
+    await waitFor(() => env.chrome.alarms.created.pauseResume?.when === pausedUntil);
+    assert.equal(env.chrome.storage.local.data.blockingPaused, true);
+});
+
+test('a pause that ran out while the browser was closed is over at startup', async () => {
+    const env = await loadPausable({ blockingPaused: true, pausedUntil: Date.now() - MINUTE });
+
+    // Counts as over even before the startup check clears it
+    assert.equal(await env.context.isBlockingPaused(), false);
+    await waitFor(() => env.chrome.storage.local.data.blockingPaused === false);
+    assert.equal(env.chrome.storage.local.data.pausedUntil, undefined);
+});
+
+test('a pause still running at startup gets its resume alarm back', async () => {
+    const pausedUntil = Date.now() + 10 * MINUTE;
+    const env = await loadPausable({ blockingPaused: true, pausedUntil });
+
+    await waitFor(() => env.chrome.alarms.created.pauseResume?.when === pausedUntil);
+    assert.equal(await env.context.isBlockingPaused(), true);
+});
@@ -0,0 +1,167 @@
+// Pre-render blocking: the declarativeNetRequest rules must agree with getCache(), and a
+// redirect that disagrees with it reopens the page only once
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, waitFor, cacheEntry } = require('./helpers/load-background');
+
+const HOUR = 60 * 60 * 1000;
+
+// What Chrome would do with a main-frame request: the highest priority rule wins, allow wins ties
+function resolveRules(rules, url) {
+    const matching = rules.filter(rule =>
+        new RegExp(rule.condition.regexFilter, rule.condition.isUrlFilterCaseSensitive ? '' : 'i').test(url));
+    if (matching.length === 0) return 'none';
+    matching.sort((a, b) => b.priority - a.priority || (a.action.type === 'allow' ? -1 : 1));
+    return matching[0].action.type;
+}
+
+async function loadWithCache(entries, options = {}) {
+    const env = loadBackground({
+        ...options,
+        local: { authToken: 'test-token', decisionCache: { entries, stats: {} }, ...options.local }
+    });
+    await env.ready;
+    await env.context.syncBlockRules();
+    return env;
+}
+
+test('pages with their own non-BLOCK entry under a site-wide BLOCK are not redirected', async () => {
+    const env = await loadWithCache({
+        'domain:forum.example.com': cacheEntry('BLOCK'),
+        'forum.example.com/help/rules': cacheEntry('ALLOW'),
+        'forum.example.com/links': cacheEntry('ALLOW', { prefetched: true })
+    });
+    const { rules } = env.chrome.declarativeNetRequest;
+
+    assert.equal(resolveRules(rules, 'https://forum.example.com/threads/1'), 'redirect');
+    assert.equal(resolveRules(rules, 'https://forum.example.com/help/rules'), 'allow');
+    assert.equal(resolveRules(rules, 'https://www.forum.example.com/help/rules?page=2'), 'allow');
+    // A prefetched ALLOW is only a hint - the site-wide BLOCK still applies to that page
+    assert.equal(resolveRules(rules, 'https://forum.example.com/links'), 'redirect');
+    assert.equal((await env.context.getCache('https://forum.example.com/links')).decision, 'BLOCK');
+});
+
+test('prefetched BLOCK decisions are redirected before the page loads', async () => {
+    const env = await loadWithCache({
+        'links.example.com/misleading': cacheEntry('BLOCK', { prefetched: true }),
+        'domain:linked.example.com': cacheEntry('BLOCK', { prefetched: true })
+    });
+    const { rules } = env.chrome.declarativeNetRequest;
+
+    assert.equal(resolveRules(rules, 'https://links.example.com/misleading'), 'redirect');
+    assert.equal(resolveRules(rules, 'https://linked.example.com/any'), 'redirect');
+});
+
+test('a redirect that disagrees with the cache reopens the page once, then stays blocked', async () => {
+    const env = await loadWithCache({});
+    const url = 'https://stale.example.com/page';
+    env.chrome.tabs.list.push({ id: 7, url });
+
+    await env.sendMessage({ type: 'GET_BLOCK_CONTEXT', url, prerender: true }, { tab: { id: 7 } });
+    await env.sendMessage({ type: 'GET_BLOCK_CONTEXT', url, prerender: true }, { tab: { id: 7 } });
+
+    assert.deepEqual(env.chrome.tabs.updates, [{ tabId: 7, url }]);
+});
+
+test('a pre-render block recorded while the worker is starting waits for the site lists', async () => {
+    const url = 'https://listed.example.com/page';
+    const env = loadBackground({
+        local: { authToken: 'test-token', userBlockList: ['listed.example.com'] },
+        tabs: [{ id: 7, url }]
+    });
+
+    await env.context.recordPrerenderBlock(7, url);
+
+    assert.deepEqual(env.chrome.tabs.updates, []);
+    const response = await env.sendMessage({ type: 'GET_BLOCK_CONTEXT', url }, { tab: { id: 7 } });
+    assert.equal(response.context.cached, false);
+});
+
+test('a pre-render block for anything but a web page is ignored', async () => {
+    const env = await loadWithCache({});
+
+    for (const url of ['javascript:alert(1)', 'chrome://settings/', 'file:///etc/hosts']) {
+        env.chrome.tabs.list.push({ id: 8, url });
+        await env.sendMessage({ type: 'GET_BLOCK_CONTEXT', url, prerender: true }, { tab: { id: 8 } });
+    }
+
+    assert.deepEqual(env.chrome.tabs.updates, []);
+    assert.equal(env.chrome.storage.local.data.localBlockLog, undefined);
+});
+
+test('cache hits leave the rules alone, and a rebuild keeps the rule IDs of unchanged entries', async () => {
+    const env = await loadWithCache({
+        'b.example.com/page': cacheEntry('BLOCK', { lastAccess: Date.now() - 2000 }),
+        'a.example.com/page': cacheEntry('BLOCK', { lastAccess: Date.now() - 1000 })
+    });
+    const { declarativeNetRequest } = env.chrome;
+    const before = structuredClone(declarativeNetRequest.rules);
+    const updateCount = declarativeNetRequest.updates.length;
+
+    // A hit on the older entry makes it the most recently used one
+    assert.equal((await env.context.getCache('https://b.example.com/page')).decision, 'BLOCK');
+    await env.context.persistDecisionCache();
+    await new Promise(resolve => setTimeout(resolve, 700)); // Past BLOCK_RULE_SYNC_DELAY_MS
+    assert.equal(declarativeNetRequest.updates.length, updateCount);
+
+    await env.context.syncBlockRules();
+    assert.deepEqual(declarativeNetRequest.rules, before);
+
+    await env.context.setCache('https://c.example.com/page', { decision: 'BLOCK', reason: 'Off goal' });
+    await env.context.persistDecisionCache();
+    await waitFor(() => declarativeNetRequest.updates.length === updateCount + 1);
+    assert.deepEqual(declarativeNetRequest.rules.slice(0, before.length), before);
+});
+
+test('the rule cap drops cached decisions, never list rules or the allow rules a site-wide block needs', async () => {
+    const systemRules = (await loadWithCache({})).chrome.declarativeNetRequest.rules.length;
+    // Room for two cached rules once the lists are in
+    const managedBlockList = Array.from({ length: 450 }, (_, i) => `managed${i}.example.com`);
+    const userBlockList = Array.from({ length: 900 - systemRules - 2 - 450 }, (_, i) => `site${i}.example.com`);
+    const env = await loadWithCache({
+        'domain:forum.example.com': cacheEntry('BLOCK'),
+        'forum.example.com/help/rules': cacheEntry('ALLOW'),
+        'forum.example.com/links': cacheEntry('ALLOW'),
+        'older.example.com/page': cacheEntry('BLOCK', { lastAccess: Date.now() - HOUR })
+    }, { local: { userBlockList }, managed: { blockList: managedBlockList } });
+    const { rules } = env.chrome.declarativeNetRequest;
+
+    assert.equal(rules.length, 900 - 1);
+    for (const pattern of [...managedBlockList, ...userBlockList]) {
+        assert.equal(resolveRules(rules, `https://${pattern}/`), 'redirect');
+    }
+    // The site-wide block needs three rules, so it waits until there is room for all of them
+    assert.equal(resolveRules(rules, 'https://forum.example.com/threads/1'), 'none');
+    assert.equal(resolveRules(rules, 'https://older.example.com/page'), 'redirect');
+});
+
+test('full lists stay under the rule limit, dropping user blocks before allowances, managed blocks or carve-outs', async () => {
+    const managedBlockList = Array.from({ length: 500 }, (_, i) => `managed${i}.example.com`);
+    const userBlockList = Array.from({ length: 500 }, (_, i) => `site${i}.example.com`);
+    const userAllowList = userBlockList.map(pattern => `${pattern}/help`);
+    const env = await loadWithCache({ 'videos.example.com/watch': cacheEntry('BLOCK') }, {
+        local: {
+            userBlockList,
+            userAllowList,
+            temporaryAllowances: { 'domain:managed0.example.com': { until: Date.now() + HOUR, scope: 'domain', url: 'https://managed0.example.com/' } }
+        },
+        managed: { blockList: managedBlockList }
+    });
+    const { rules, updates } = env.chrome.declarativeNetRequest;
+
+    assert.equal(updates.length, 1);
+    assert.equal(rules.length, 900);
+    assert.equal(resolveRules(rules, 'https://dashboard.beaconblocker.com/'), 'allow');
+    // An allowance never lifts the managed blocklist
+    assert.equal(resolveRules(rules, 'https://managed0.example.com/'), 'redirect');
+    for (const pattern of managedBlockList) {
+        assert.equal(resolveRules(rules, `https://${pattern}/`), 'redirect');
+    }
+    // No allowed page is redirected; the user blocks past the cap are only checked after loading
+    for (const pattern of userAllowList) {
+        assert.notEqual(resolveRules(rules, `https://${pattern}`), 'redirect');
+    }
+    assert.equal(resolveRules(rules, 'https://site499.example.com/'), 'none');
+    assert.equal(resolveRules(rules, 'https://videos.example.com/watch'), 'none');
+});
@@ -0,0 +1,49 @@
+// Runtime config from the developer panel: a configured dashboard can't unblock a listed site,
+// and the config can't be changed during strict mode
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const EXTENSION_PAGE = { url: 'chrome-extension://test-extension-id/options.html' };
+
+test('a configured dashboard host is exempt from checks but not from the blocklists', async () => {
+    const env = loadBackground({
+        local: {
+            authToken: 'test-token',
+            runtimeConfig: { dashboardUrl: 'https://www.youtube.com' },
+            userBlockList: ['youtube.com/shorts']
+        },
+        managed: { blockList: ['youtube.com/gaming'] }
+    });
+    await env.ready;
+    const { getSiteListMatch } = env.context;
+
+    assert.equal(getSiteListMatch('https://www.youtube.com/watch?v=abc').list, 'system');
+    assert.equal(getSiteListMatch('https://www.youtube.com/shorts/abc').list, 'block');
+    assert.equal(getSiteListMatch('https://www.youtube.com/gaming').managed, true);
+    // The built-in dashboards still come first
+    assert.equal(getSiteListMatch('https://dashboard.beaconblocker.com/').list, 'system');
+});
+
+test('the runtime config is saved through the background and refused during strict mode', async () => {
+    const env = loadBackground({ local: { authToken: 'test-token' } });
+    await env.ready;
+
+    const saved = await env.sendMessage(
+        { type: 'SYNC_RUNTIME_CONFIG', config: { backendUrl: 'https://api.example.com/', logLevel: 'bogus' } },
+        EXTENSION_PAGE
+    );
+    assert.equal(saved.success, true);
+    assert.deepEqual({ ...env.chrome.storage.local.data.runtimeConfig }, { backendUrl: 'https://api.example.com' });
+
+    await env.chrome.storage.local.set({ strictModeUntil: Date.now() + 60 * 60 * 1000 });
+    for (const config of [{ backendUrl: 'https://dead.example.com' }, null]) {
+        const refused = await env.sendMessage({ type: 'SYNC_RUNTIME_CONFIG', config }, EXTENSION_PAGE);
+        assert.equal(refused.success, false);
+    }
+    assert.equal(env.chrome.storage.local.data.runtimeConfig.backendUrl, 'https://api.example.com');
+
+    const fromPage = await env.sendMessage({ type: 'SYNC_RUNTIME_CONFIG', config: null }, { url: 'https://example.com/' });
+    assert.equal(fromPage.success, false);
+});
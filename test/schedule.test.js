@@ -0,0 +1,114 @@
+// Focus schedule: which times fall inside a window, when the state next flips, and the schedule
+// pausing blocking outside its windows
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const { isWithinSchedule, getNextScheduleChange } = loadBackground().context;
+
+// Week of Monday 5 January 2026, local time
+const at = (day, hours, minutes = 0) => new Date(2026, 0, 4 + day, hours, minutes);
+const SUN = 0, MON = 1, TUE = 2, FRI = 5, SAT = 6;
+
+const schedule = (...windows) => ({ enabled: true, windows });
+
+test('a same-day window includes its start and excludes its end', () => {
+    const workday = schedule({ days: [MON], start: '09:00', end: '17:00' });
+
+    assert.equal(isWithinSchedule(workday, at(MON, 8, 59)), false);
+    assert.equal(isWithinSchedule(workday, at(MON, 9, 0)), true);
+    assert.equal(isWithinSchedule(workday, at(MON, 16, 59)), true);
+    assert.equal(isWithinSchedule(workday, at(MON, 17, 0)), false);
+    assert.equal(isWithinSchedule(workday, at(TUE, 10, 0)), false);
+});
+
+test('an overnight window runs from its start day into the next morning', () => {
+    const lateNight = schedule({ days: [FRI], start: '22:00', end: '02:00' });
+
+    assert.equal(isWithinSchedule(lateNight, at(FRI, 21, 59)), false);
+    assert.equal(isWithinSchedule(lateNight, at(FRI, 23, 0)), true);
+    assert.equal(isWithinSchedule(lateNight, at(SAT, 1, 59)), true);
+    assert.equal(isWithinSchedule(lateNight, at(SAT, 2, 0)), false);
+    assert.equal(isWithinSchedule(lateNight, at(SAT, 23, 0)), false);
+    // The early morning of the start day belongs to the day before, which isn't scheduled
+    assert.equal(isWithinSchedule(lateNight, at(FRI, 1, 0)), false);
+});
+
+test('windows wrap across the week between Saturday and Sunday', () => {
+    const weekend = schedule({ days: [SAT, SUN], start: '09:00', end: '17:00' });
+    assert.equal(isWithinSchedule(weekend, at(SUN, 10)), true);
+    assert.equal(isWithinSchedule(weekend, at(SAT, 10)), true);
+    assert.equal(isWithinSchedule(weekend, at(MON, 10)), false);
+
+    const saturdayNight = schedule({ days: [SAT], start: '22:00', end: '06:00' });
+    assert.equal(isWithinSchedule(saturdayNight, at(SUN, 5, 0)), true);
+    assert.equal(isWithinSchedule(saturdayNight, at(SUN, 6, 0)), false);
+
+    const sundayNight = schedule({ days: [SUN], start: '22:00', end: '06:00' });
+    assert.equal(isWithinSchedule(sundayNight, at(MON, 5, 0)), true);
+    assert.equal(isWithinSchedule(sundayNight, at(SUN, 5, 0)), false);
+});
+
+test('a window ending at 24:00 lasts until midnight', () => {
+    const evening = schedule({ days: [MON], start: '20:00', end: '24:00' });
+
+    assert.equal(isWithinSchedule(evening, at(MON, 23, 59)), true);
+    assert.equal(isWithinSchedule(evening, at(TUE, 0, 0)), false);
+    assert.equal(getNextScheduleChange(evening, at(MON, 21)), at(TUE, 0).getTime());
+});
+
+test('the next change is the next start or end that flips the state', () => {
+    const workday = schedule({ days: [MON], start: '09:00', end: '17:00' });
+    assert.equal(getNextScheduleChange(workday, at(MON, 8)), at(MON, 9).getTime());
+    assert.equal(getNextScheduleChange(workday, at(MON, 10)), at(MON, 17).getTime());
+    // A week later, on the next Monday
+    assert.equal(getNextScheduleChange(workday, at(TUE, 10)), at(MON + 7, 9).getTime());
+
+    const lateNight = schedule({ days: [FRI], start: '22:00', end: '02:00' });
+    assert.equal(getNextScheduleChange(lateNight, at(FRI, 23)), at(SAT, 2).getTime());
+
+    // Back-to-back windows don't flip the state where one ends and the next starts
+    const split = schedule(
+        { days: [MON], start: '09:00', end: '12:00' },
+        { days: [MON], start: '12:00', end: '17:00' }
+    );
+    assert.equal(getNextScheduleChange(split, at(MON, 10)), at(MON, 17).getTime());
+
+    const always = schedule({ days: [SUN, MON, TUE, 3, 4, FRI, SAT], start: '00:00', end: '24:00' });
+    assert.equal(getNextScheduleChange(always, at(MON, 10)), null);
+});
+
+// A one-hour window every day, starting `fromNow` minutes from the current time
+function windowFromNow(fromNow) {
+    const timeOfDay = (offset) => {
+        const date = new Date(Date.now() + offset * 60 * 1000);
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    };
+    return { days: [SUN, MON, TUE, 3, 4, FRI, SAT], start: timeOfDay(fromNow), end: timeOfDay(fromNow + 60) };
+}
+
+test('blocking is paused outside the schedule and resumes inside it', async () => {
+    const outside = loadBackground({ local: { focusSchedule: schedule(windowFromNow(120)) } });
+    await outside.ready;
+    assert.equal(await outside.context.isBlockingPaused(), true);
+
+    const inside = loadBackground({ local: { focusSchedule: schedule(windowFromNow(-30)) } });
+    await inside.ready;
+    assert.equal(await inside.context.isBlockingPaused(), false);
+
+    const disabled = loadBackground({ local: { focusSchedule: { ...schedule(windowFromNow(120)), enabled: false } } });
+    await disabled.ready;
+    assert.equal(await disabled.context.isBlockingPaused(), false);
+});
+
+test('strict mode blocks even outside the schedule', async () => {
+    const env = loadBackground({
+        local: {
+            focusSchedule: schedule(windowFromNow(120)),
+            strictModeUntil: Date.now() + 60 * 60 * 1000
+        }
+    });
+    await env.ready;
+    assert.equal(await env.context.isBlockingPaused(), false);
+});
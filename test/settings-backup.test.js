@@ -0,0 +1,64 @@
+// Settings backup: an export made by the extension must always import again
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+
+const EXTENSION_PAGE = { url: 'chrome-extension://test-extension-id/options.html' };
+
+test('an exported backup restores even when stored values would not validate as-is', async () => {
+    const source = loadBackground({
+        local: {
+            theme: 'dark',
+            blockingPaused: false,
+            pausedUntil: null,
+            activityLogRetention: 30,
+            userBlockList: ['Reddit.com', 'reddit.com', ''],
+            timeBudgets: [{ id: 'news', label: 'News', sites: ['news.example.com'], dailyMinutes: 20 }]
+        }
+    });
+    await source.ready;
+
+    const exported = await source.sendMessage({ type: 'EXPORT_SETTINGS' }, EXTENSION_PAGE);
+    assert.equal(exported.success, true);
+    const { settings } = JSON.parse(exported.content);
+    assert.equal('pausedUntil' in settings, false);
+    assert.deepEqual(settings.userBlockList, ['reddit.com']);
+
+    const target = loadBackground();
+    await target.ready;
+    const imported = await target.sendMessage({ type: 'IMPORT_SETTINGS', content: exported.content }, EXTENSION_PAGE);
+
+    assert.equal(imported.success, true);
+    // Arrays built inside the vm context have their own prototype - compare copies
+    assert.deepEqual([...imported.failed], []);
+    assert.deepEqual([...imported.applied].sort(), Object.keys(settings).sort());
+    assert.equal(target.chrome.storage.local.data.theme, 'dark');
+    assert.deepEqual(target.chrome.storage.local.data.userBlockList, ['reddit.com']);
+    assert.equal(target.chrome.storage.local.data.timeBudgets[0].dailyMinutes, 20);
+});
+
+test('re-importing a backup made without the API key keeps the saved one', async () => {
+    const classifierSettings = {
+        provider: 'openai',
+        endpoint: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        apiKey: 'sk-secret',
+        goalPrompt: 'Finish the thesis'
+    };
+    const env = loadBackground({ local: { authToken: 'test-token', classifierSettings } });
+    await env.ready;
+
+    const exported = await env.sendMessage({ type: 'EXPORT_SETTINGS' }, EXTENSION_PAGE);
+    assert.equal('apiKey' in JSON.parse(exported.content).settings.classifierSettings, false);
+
+    // Backups from before the key was left out have it as null
+    const older = JSON.parse(exported.content);
+    older.settings.classifierSettings.apiKey = null;
+
+    for (const content of [exported.content, JSON.stringify(older)]) {
+        const imported = await env.sendMessage({ type: 'IMPORT_SETTINGS', content }, EXTENSION_PAGE);
+        assert.deepEqual([...imported.failed], []);
+        assert.equal(env.chrome.storage.local.data.classifierSettings.apiKey, 'sk-secret');
+    }
+});
@@ -0,0 +1,65 @@
+// Shorts / Reels sessions: tracked from tab navigations, capped by shortsLimits, and logged
+// when the tab leaves short-form content
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+
+const SHORT = (id) => `https://www.youtube.com/shorts/${id}`;
+
+// The listener doesn't await the Shorts bookkeeping, so give it a moment to finish
+async function navigate(env, tabId, url) {
+    const tab = env.chrome.tabs.list.find(t => t.id === tabId);
+    tab.url = url;
+    await Promise.all(env.chrome.tabs.onUpdated.dispatch(tabId, { url }, tab));
+    await new Promise(resolve => setTimeout(resolve, 30));
+}
+
+async function loadWithTab(local = {}) {
+    const env = loadBackground({ local: { authToken: 'test-token', ...local }, tabs: [{ id: 5, url: 'https://www.youtube.com/', active: true }] });
+    await env.ready;
+    return env;
+}
+
+test('watching Shorts opens a session and counts each one once', async () => {
+    const env = await loadWithTab();
+
+    await navigate(env, 5, SHORT('a'));
+    await navigate(env, 5, SHORT('b'));
+    await navigate(env, 5, `${SHORT('b')}?feature=share`);
+
+    const { platforms } = env.chrome.storage.local.data.shortsDailyStats;
+    assert.equal(platforms.Shorts.count, 2);
+    assert.equal(platforms.Shorts.sessions, 1);
+    assert.ok(env.chrome.alarms.created.shortsLimitTick);
+});
+
+test('leaving Shorts ends the session and logs it', async () => {
+    const env = await loadWithTab();
+
+    await navigate(env, 5, SHORT('a'));
+    await navigate(env, 5, SHORT('b'));
+    await navigate(env, 5, 'https://www.youtube.com/feed/subscriptions');
+
+    await waitFor(() => env.chrome.storage.local.data.localBlockLog?.length === 1);
+    const [entry] = env.chrome.storage.local.data.localBlockLog;
+    assert.equal(entry.reason, 'Short-form Content');
+    assert.equal(entry.shortsSession.platform, 'Shorts');
+    assert.equal(entry.shortsSession.count, 2);
+    assert.equal(env.chrome.storage.local.data.shortsSession_5, undefined);
+    assert.equal(env.chrome.alarms.created.shortsLimitTick, undefined);
+});
+
+test('going over the per-session cap blocks the next Short', async () => {
+    const env = await loadWithTab({ shortsLimits: { maxPerSession: 2 } });
+
+    await navigate(env, 5, SHORT('a'));
+    await navigate(env, 5, SHORT('b'));
+    assert.deepEqual(env.chrome.tabs.updates, []);
+    await navigate(env, 5, SHORT('c'));
+
+    await waitFor(() => env.chrome.tabs.updates.length === 1);
+    assert.match(env.chrome.tabs.updates[0].url, /blocked\.html/);
+    const context = await env.sendMessage({ type: 'GET_BLOCK_CONTEXT', url: SHORT('c') }, { tab: { id: 5 } });
+    assert.match(context.context.reason, /max 2 per session/);
+});
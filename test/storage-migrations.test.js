@@ -0,0 +1,97 @@
+// Storage migrations: each older schema upgrades to the current one, and running the
+// migrations again (even all of them from scratch) leaves the data unchanged
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/load-background');
+const { storageV0, storageV1, storageV2 } = require('./fixtures/storage-schemas');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CURRENT_VERSION = 3;
+
+// The parts of storage the migrations own (the rest is written by the worker as it starts)
+function migratedState(data) {
+    return structuredClone({
+        version: data.storageSchemaVersion,
+        log: data.localBlockLog,
+        cache: data.decisionCache?.entries,
+        legacyCacheKeys: Object.keys(data).filter(key => key.includes('.')).sort(),
+        shortsSessions: Object.keys(data).filter(key => key.startsWith('shortsSession_')).sort()
+    });
+}
+
+async function migrate(fixture) {
+    const env = loadBackground({ local: fixture, tabs: [{ id: 1, url: 'https://www.youtube.com/shorts/abc', active: true }] });
+    await env.ready;
+    await env.context.runStorageMigrations('test');
+    return env;
+}
+
+// A second run is a no-op, and so is replaying every migration from version 0
+async function assertIdempotent(env) {
+    const data = env.chrome.storage.local.data;
+    const after = migratedState(data);
+
+    await env.context.runStorageMigrations('test');
+    assert.deepEqual(migratedState(data), after);
+
+    await env.chrome.storage.local.set({ storageSchemaVersion: 0 });
+    await env.context.runStorageMigrations('test');
+    assert.deepEqual(migratedState(data), after);
+}
+
+test('v0 storage: log entries upgraded, cache folded in, orphaned sessions removed', async () => {
+    const now = Date.now();
+    const env = await migrate(storageV0(now));
+    const state = migratedState(env.chrome.storage.local.data);
+
+    assert.equal(state.version, CURRENT_VERSION);
+    assert.deepEqual(state.log, [
+        { url: 'https://www.reddit.com/r/all', reason: 'Distracting', timestamp: now - 2 * 3600000, decision: 'BLOCK', domain: 'reddit.com' },
+        { url: 'https://news.example.com/story', reason: 'Off goal', timestamp: now - 3600000, domain: 'news.example.com', decision: 'BLOCK' },
+        { url: 'https://docs.example.com/', decision: 'ALLOW', domain: 'docs.example.com', timestamp: now - 3600000 }
+    ]);
+    assert.deepEqual(state.legacyCacheKeys, []);
+    assert.deepEqual(Object.keys(state.cache).sort(), ['docs.example.com', 'reddit.com/r/all']);
+    assert.deepEqual(state.cache['reddit.com/r/all'], {
+        decision: 'BLOCK',
+        reason: 'Distracting',
+        timestamp: now - 2 * 3600000,
+        lastAccess: now - 2 * 3600000,
+        expiresAt: now - 2 * 3600000 + 7 * DAY,
+        cacheVersion: null
+    });
+    assert.deepEqual(state.shortsSessions, ['shortsSession_1']);
+
+    await assertIdempotent(env);
+});
+
+test('v1 storage: cache entries normalized and invalid ones dropped', async () => {
+    const now = Date.now();
+    const env = await migrate(storageV1(now));
+    const state = migratedState(env.chrome.storage.local.data);
+
+    assert.equal(state.version, CURRENT_VERSION);
+    assert.equal(state.log.length, 1);
+    assert.deepEqual(state.legacyCacheKeys, []);
+    assert.deepEqual(Object.keys(state.cache).sort(), ['docs.example.com', 'reddit.com/r/all']);
+    assert.equal(state.cache['reddit.com/r/all'].expiresAt, now - 2 * 3600000 + 7 * DAY);
+    assert.equal(state.cache['reddit.com/r/all'].lastAccess, now - 2 * 3600000);
+    assert.equal(state.cache['docs.example.com'].decision, 'ALLOW');
+    assert.deepEqual(state.shortsSessions, []);
+
+    await assertIdempotent(env);
+});
+
+test('v2 storage: only the orphaned Shorts session is removed', async () => {
+    const now = Date.now();
+    const fixture = storageV2(now);
+    const env = await migrate(fixture);
+    const state = migratedState(env.chrome.storage.local.data);
+
+    assert.equal(state.version, CURRENT_VERSION);
+    assert.deepEqual(state.cache, fixture.decisionCache.entries);
+    assert.deepEqual(state.shortsSessions, ['shortsSession_1']);
+
+    await assertIdempotent(env);
+});
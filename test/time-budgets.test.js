@@ -0,0 +1,110 @@
+// Daily time budgets: crediting active time, the reset at local midnight, blocking once a budget
+// is used up, and the usage report for the dashboard
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, waitFor } = require('./helpers/load-background');
+
+const BLOCKED_PAGE = 'chrome-extension://test-extension-id/blocked.html';
+const REDDIT_URL = 'https://www.reddit.com/r/all';
+
+const { getLocalDateKey } = loadBackground().context;
+
+const BUDGETS = [
+    { id: 'reddit', label: 'Reddit', sites: ['reddit.com'], dailyMinutes: 30 },
+    { id: 'social', label: 'Social', sites: ['reddit.com', 'x.com'], dailyMinutes: 60 },
+    { id: 'video', label: 'Video', sites: ['youtube.com'], dailyMinutes: 10 }
+];
+
+async function loadWithBudgets(local = {}) {
+    const env = loadBackground({
+        local: { authToken: 'test-token', timeBudgets: BUDGETS, ...local },
+        tabs: [{ id: 1, url: REDDIT_URL, title: 'r/all', active: true }]
+    });
+    await env.ready;
+    return env;
+}
+
+function usedToday(seconds) {
+    return { timeUsage: { date: getLocalDateKey(), seconds } };
+}
+
+test('active time is credited to every budget covering the page', async () => {
+    const env = await loadWithBudgets({
+        ...usedToday({ reddit: 60 }),
+        activeTimeTracking: { tabId: 1, url: REDDIT_URL, since: Date.now() - 90 * 1000 }
+    });
+
+    await env.context.flushActiveTime();
+
+    const { timeUsage, activeTimeTracking } = env.chrome.storage.local.data;
+    assert.equal(timeUsage.date, getLocalDateKey());
+    assert.deepEqual({ ...timeUsage.seconds }, { reddit: 150, social: 90 });
+    // The next flush only counts time from here on
+    assert.ok(Date.now() - activeTimeTracking.since < 1000);
+});
+
+test('usage resets at local midnight and a session from yesterday only counts since midnight', async () => {
+    const midnight = new Date().setHours(0, 0, 0, 0);
+    const env = await loadWithBudgets({
+        timeUsage: { date: '2000-01-01', seconds: { reddit: 1800, social: 3600 } },
+        activeTimeTracking: { tabId: 1, url: REDDIT_URL, since: midnight - 60 * 60 * 1000 }
+    });
+
+    assert.equal(await env.context.getExhaustedBudget(REDDIT_URL), null);
+    await env.context.flushActiveTime();
+
+    const { timeUsage } = env.chrome.storage.local.data;
+    const sinceMidnight = Math.round((Date.now() - midnight) / 1000);
+    assert.equal(timeUsage.date, getLocalDateKey());
+    assert.ok(Math.abs(timeUsage.seconds.reddit - sinceMidnight) <= 1, `${timeUsage.seconds.reddit} vs ${sinceMidnight}`);
+});
+
+test('a budget counts as used up once its daily minutes are spent', async () => {
+    const env = await loadWithBudgets({
+        ...usedToday({ reddit: 30 * 60 - 1, video: 10 * 60 })
+    });
+
+    assert.equal(await env.context.getExhaustedBudget(REDDIT_URL), null);
+    const video = await env.context.getExhaustedBudget('https://www.youtube.com/watch?v=1');
+    assert.equal(video.budget.id, 'video');
+    assert.equal(video.usedSeconds, 600);
+    assert.equal(video.limitSeconds, 600);
+    assert.equal(await env.context.getExhaustedBudget('https://docs.example.com/'), null);
+});
+
+test('a page whose budget is used up is blocked before asking the classifier', async () => {
+    const env = await loadWithBudgets(usedToday({ reddit: 30 * 60 }));
+
+    await env.context.handlePageStateUpdate(
+        { type: 'PAGE_STATE_UPDATE', data: { url: REDDIT_URL, title: 'r/all' } },
+        { tab: { id: 1 } }
+    );
+
+    await waitFor(() => env.chrome.tabs.updates.length === 1);
+    assert.equal(env.chrome.tabs.updates[0].url, `${BLOCKED_PAGE}?url=${encodeURIComponent(REDDIT_URL)}`);
+    const [logged] = env.chrome.storage.local.data.localBlockLog;
+    assert.match(logged.reason, /^Daily time budget used · 30m of 30m on Reddit/);
+});
+
+test('switching to a tab whose budget is used up blocks it', async () => {
+    const env = await loadWithBudgets(usedToday({ reddit: 30 * 60 }));
+
+    await env.chrome.tabs.onActivated.dispatch({ tabId: 1 })[0];
+
+    await waitFor(() => env.chrome.tabs.updates.length === 1);
+    assert.equal(env.chrome.tabs.updates[0].tabId, 1);
+});
+
+test('GET_TIME_USAGE reports today\'s usage against each limit', async () => {
+    const env = await loadWithBudgets(usedToday({ reddit: 300 }));
+
+    const report = await env.sendMessage({ type: 'GET_TIME_USAGE' });
+
+    assert.equal(report.success, true);
+    assert.equal(report.date, getLocalDateKey());
+    assert.deepEqual(
+        report.budgets.map(({ id, usedSeconds, limitSeconds }) => [id, usedSeconds, limitSeconds]),
+        [['reddit', 300, 1800], ['social', 0, 3600], ['video', 0, 600]]
+    );
+});